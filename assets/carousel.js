@@ -1,404 +1,955 @@
-document.addEventListener("DOMContentLoaded", () => {
-  // Initialize all carousels on the page
-  const carousels = document.querySelectorAll('[id^="hc-"]');
-
-  carousels.forEach((carousel) => {
-    initializeCarousel(carousel);
-  });
-});
-
-function initializeCarousel(carousel) {
-  if (!carousel) return;
-
-  const sectionId = carousel.id.replace("hc-", "");
-  const originalSlides = [...carousel.children];
-  const dotsContainer = carousel.parentElement.querySelector(".hc-dots");
-  const prevButton = carousel.parentElement.querySelector(".hc-prev");
-  const nextButton = carousel.parentElement.querySelector(".hc-next");
-  const statusElement = document.getElementById(`carousel-status-${sectionId}`);
-
-  // Create infinite loop by cloning slides
-  let slides = [...originalSlides];
-  let totalSlides = slides.length;
-  let currentSlide = 0;
-  let isTransitioning = false;
-  let isAutoplayRunning = carousel.dataset.autoplay === "true";
-  let autoplayTimer = null;
-  let isUserInteracting = false;
-
-  // Only create infinite loop if we have more than 1 slide
-  if (totalSlides > 1) {
-    // Clone first slide and append to end
-    const firstClone = originalSlides[0].cloneNode(true);
-    firstClone.setAttribute("aria-hidden", "true");
-    firstClone.classList.add("hc-clone");
-    carousel.appendChild(firstClone);
-
-    // Clone last slide and prepend to beginning
-    const lastClone = originalSlides[totalSlides - 1].cloneNode(true);
-    lastClone.setAttribute("aria-hidden", "true");
-    lastClone.classList.add("hc-clone");
-    carousel.insertBefore(lastClone, originalSlides[0]);
-
-    // Update slides array to include clones
-    slides = [...carousel.children];
-
-    // Start at slide 1 (first real slide, after the last clone)
-    currentSlide = 1;
-    carousel.scrollLeft = carousel.clientWidth * currentSlide;
-  }
-
-  // Respect user's motion preferences
-  const prefersReducedMotion = window.matchMedia(
-    "(prefers-reduced-motion: reduce)"
-  ).matches;
-  const animationDuration = prefersReducedMotion ? 0 : 500;
-
-  // Custom smooth scroll function with better easing
-  const smoothScrollTo = (targetPosition, duration = animationDuration) => {
-    if (duration === 0 || prefersReducedMotion) {
-      carousel.scrollLeft = targetPosition;
-      return Promise.resolve();
+/**
+ * Slideshow Component
+ * <slideshow-component> wraps an `.hc-viewport` of `.hc-slide` children with
+ * optional `.hc-prev`/`.hc-next` arrows, a `.hc-dots` container and a
+ * `[data-slideshow-status]` live region. Loops infinitely by cloning enough
+ * slides at each end to fill the viewport.
+ *
+ * Layout is configured with data attributes:
+ * - data-slides-per-view, data-slides-per-view-tablet (>= 750px),
+ *   data-slides-per-view-desktop (>= 990px): slides visible at once
+ * - data-slide-gap: gap between slides in px
+ * - data-slide-step: slides moved per next/prev (defaults to a full page)
+ *
+ * Autoplay (data-autoplay="true") can be toggled with a `.hc-play-pause`
+ * button and shows its timing in `.hc-progress`. It is suspended while the
+ * slideshow is hovered or focused, and stops for good once the shopper
+ * navigates themselves.
+ *
+ * Slide media loads lazily: images and videos on the visible page and one
+ * page either side are fetched, everything further away waits until it is
+ * approached. Videos pause whenever their slide is out of view.
+ *
+ * Public API: next(), prev(), goTo(index), play(), pause()
+ * Emits `slideshow:change` with { index, page, slide } whenever the page
+ * changes.
+ */
+class SlideshowComponent extends HTMLElement {
+  constructor() {
+    super();
+    this.prefersReducedMotion = window.matchMedia(
+      "(prefers-reduced-motion: reduce)"
+    ).matches;
+    this.animationDuration = this.prefersReducedMotion ? 0 : 500;
+    this.tabletQuery = window.matchMedia("(min-width: 750px)");
+    this.desktopQuery = window.matchMedia("(min-width: 990px)");
+    this.originalSlides = [];
+    this.perView = 1;
+    this.cloneCount = 0;
+    this.pageStarts = [0];
+  }
+
+  connectedCallback() {
+    this.#setup();
+  }
+
+  disconnectedCallback() {
+    this.#teardown();
+  }
+
+  get slideCount() {
+    return this.originalSlides.length;
+  }
+
+  // Only loop (and paginate) when there is more than one page of slides
+  get isLooping() {
+    return this.slideCount > this.perView;
+  }
+
+  // Index of the first visible real slide, ignoring clones
+  get currentIndex() {
+    if (!this.isLooping) return 0;
+
+    const realIndex = this.position - this.cloneCount;
+    return ((realIndex % this.slideCount) + this.slideCount) % this.slideCount;
+  }
+
+  get pageCount() {
+    return this.pageStarts.length;
+  }
+
+  get currentPage() {
+    return this.#getPageOf(this.currentIndex);
+  }
+
+  next() {
+    if (!this.isLooping) return;
+
+    const page = this.currentPage;
+    // Past the last page, scroll on into the trailing clones and wrap
+    const target =
+      page < this.pageCount - 1 ? this.pageStarts[page + 1] : this.slideCount;
+    this.#goToPosition(this.cloneCount + target);
+  }
+
+  prev() {
+    if (!this.isLooping) return;
+
+    const page = this.currentPage;
+    let target;
+    if (this.currentIndex > this.pageStarts[page]) {
+      target = this.pageStarts[page];
+    } else if (page > 0) {
+      target = this.pageStarts[page - 1];
+    } else {
+      // Scroll back into the leading clones that mirror the last page
+      target = this.pageStarts[this.pageCount - 1] - this.slideCount;
     }
+    this.#goToPosition(this.cloneCount + target);
+  }
 
-    return new Promise((resolve) => {
-      const startPosition = carousel.scrollLeft;
-      const distance = targetPosition - startPosition;
-      const startTime = performance.now();
+  goTo(index, { focus = false, immediate = false } = {}) {
+    if (index < 0 || index >= this.slideCount) return;
 
-      // Easing function for smoother animation (ease-out-cubic)
-      const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+    const target = this.pageStarts[this.#getPageOf(index)];
+    this.#goToPosition(this.cloneCount + target, focus, immediate);
+  }
 
-      const animateScroll = (currentTime) => {
-        const elapsed = currentTime - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        const easedProgress = easeOutCubic(progress);
+  get hasAutoplay() {
+    return this.dataset.autoplay === "true" && this.isLooping;
+  }
 
-        carousel.scrollLeft = startPosition + distance * easedProgress;
+  play() {
+    this.isPaused = false;
+    this.#syncAutoplay();
+  }
 
-        if (progress < 1) {
-          requestAnimationFrame(animateScroll);
-        } else {
-          resolve();
-        }
-      };
+  pause() {
+    this.isPaused = true;
+    this.#syncAutoplay();
+  }
 
-      requestAnimationFrame(animateScroll);
+  // Hover, focus, hidden tabs and the theme editor only hold autoplay
+  // temporarily; pause() is reserved for the shopper's own choice
+  #suspend(reason) {
+    this.suspendReasons.add(reason);
+    this.#syncAutoplay();
+  }
+
+  #resume(reason) {
+    this.suspendReasons.delete(reason);
+    this.#syncAutoplay();
+  }
+
+  #syncAutoplay() {
+    const shouldRun =
+      this.hasAutoplay && !this.isPaused && this.suspendReasons.size === 0;
+
+    if (shouldRun && !this.autoplayTimer) {
+      const autoplayInterval = parseInt(this.dataset.autoplayMs) || 5000;
+      this.autoplayTimer = setInterval(() => {
+        this.next();
+        this.#restartProgress();
+      }, autoplayInterval);
+      this.#restartProgress();
+    } else if (!shouldRun && this.autoplayTimer) {
+      clearInterval(this.autoplayTimer);
+      this.autoplayTimer = null;
+    }
+
+    this.isPlaying = shouldRun;
+    this.#updateAutoplayUI();
+  }
+
+  // Any explicit navigation stops autoplay until play is pressed again
+  #stopAutoplay() {
+    if (this.hasAutoplay) this.pause();
+  }
+
+  #restartProgress() {
+    if (!this.progressBar) return;
+
+    this.progressBar.classList.remove("is-running");
+    // Force a reflow so the animation starts over
+    void this.progressBar.offsetWidth;
+    this.progressBar.classList.add("is-running");
+  }
+
+  #updateAutoplayUI() {
+    if (this.playPauseButton) {
+      const strings = window.accessibilityStrings || {};
+      this.playPauseButton.hidden = !this.hasAutoplay;
+      this.playPauseButton.classList.toggle("is-paused", this.isPaused);
+      this.playPauseButton.setAttribute(
+        "aria-label",
+        this.isPaused ? strings.playSlideshow : strings.pauseSlideshow
+      );
+    }
+
+    if (this.progressBar) {
+      this.progressBar.hidden = !this.hasAutoplay || this.isPaused;
+      this.progressBar.style.animationDuration = `${
+        parseInt(this.dataset.autoplayMs) || 5000
+      }ms`;
+      this.progressBar.style.animationPlayState = this.isPlaying
+        ? "running"
+        : "paused";
+    }
+
+    // Announcing every automatic change would be disruptive
+    if (this.statusElement) {
+      this.statusElement.setAttribute(
+        "aria-live",
+        this.isPlaying ? "off" : "polite"
+      );
+    }
+  }
+
+  #setup() {
+    this.viewport = this.querySelector(".hc-viewport");
+    if (!this.viewport) return;
+
+    this.abortController = new AbortController();
+    this.prevButton = this.querySelector(".hc-prev");
+    this.nextButton = this.querySelector(".hc-next");
+    this.dotsContainer = this.querySelector(".hc-dots");
+    this.statusElement = this.querySelector("[data-slideshow-status]");
+    this.playPauseButton = this.querySelector(".hc-play-pause");
+    this.progressBar = this.querySelector(".hc-progress__bar");
+    this.originalSlides = Array.from(
+      this.viewport.querySelectorAll(".hc-slide:not(.hc-clone)")
+    );
+    this.position = 0;
+    this.isTransitioning = false;
+    this.isUserInteracting = false;
+    this.timeouts = new Set();
+    this.suspendReasons = new Set();
+    // Motion-sensitive shoppers start paused and can opt in
+    this.isPaused = this.prefersReducedMotion;
+
+    this.#setSemantics();
+    this.#layout();
+    this.#bindEvents();
+  }
+
+  #setSemantics() {
+    this.setAttribute("role", "region");
+    this.setAttribute(
+      "aria-roledescription",
+      this.dataset.roleCarousel || "carousel"
+    );
+
+    this.originalSlides.forEach((slide, index) => {
+      slide.setAttribute("role", "group");
+      slide.setAttribute(
+        "aria-roledescription",
+        this.dataset.roleSlide || "slide"
+      );
+      slide.setAttribute(
+        "aria-label",
+        `${index + 1} / ${this.originalSlides.length}`
+      );
     });
-  };
-
-  // Navigate to specific slide with infinite loop support
-  const goToSlide = (slideIndex, updateFocus = false, immediate = false) => {
-    if (isTransitioning) return;
-
-    isTransitioning = true;
-    const targetPosition = carousel.clientWidth * slideIndex;
-    currentSlide = slideIndex;
-
-    const duration = immediate ? 0 : animationDuration;
-
-    smoothScrollTo(targetPosition, duration).then(() => {
-      // Handle infinite loop transitions
-      if (totalSlides > 1) {
-        if (currentSlide === 0) {
-          // We're at the last clone, jump to the real last slide
-          currentSlide = totalSlides;
-          carousel.scrollLeft = carousel.clientWidth * currentSlide;
-        } else if (currentSlide === slides.length - 1) {
-          // We're at the first clone, jump to the real first slide
-          currentSlide = 1;
-          carousel.scrollLeft = carousel.clientWidth * currentSlide;
-        }
-      }
+  }
+
+  // Reads the active breakpoint's settings and rebuilds clones and dots,
+  // keeping the current slide in view
+  #layout() {
+    const currentIndex = this.currentIndex;
+
+    this.perView = this.#getSlidesPerView();
+    this.gap = parseInt(this.dataset.slideGap) || 0;
+    this.step = Math.min(
+      Math.max(parseInt(this.dataset.slideStep) || this.perView, 1),
+      this.perView
+    );
+
+    this.viewport.style.setProperty("--slides-per-view", this.perView);
+    this.viewport.style.setProperty("--slide-gap", `${this.gap}px`);
+
+    this.#removeClones();
+    this.#createClones();
+    this.#createPages();
+    this.#createDots();
+
+    this.position =
+      this.cloneCount + this.pageStarts[this.#getPageOf(currentIndex)];
+    this.viewport.scrollLeft = this.#getScrollLeft(this.position);
+    this.#updateUI();
+
+    // A breakpoint can leave too few slides to rotate
+    this.#syncAutoplay();
+  }
+
+  #getSlidesPerView() {
+    const { slidesPerView, slidesPerViewTablet, slidesPerViewDesktop } =
+      this.dataset;
+    let perView = parseInt(slidesPerView) || 1;
+
+    if (slidesPerViewTablet && this.tabletQuery.matches) {
+      perView = parseInt(slidesPerViewTablet) || perView;
+    }
+    if (slidesPerViewDesktop && this.desktopQuery.matches) {
+      perView = parseInt(slidesPerViewDesktop) || perView;
+    }
+
+    return perView;
+  }
+
+  // Width of one slide plus the gap after it
+  #getStride() {
+    const slide = this.originalSlides[0];
+    if (!slide) return this.viewport.clientWidth;
+
+    return slide.getBoundingClientRect().width + this.gap;
+  }
+
+  #getScrollLeft(position) {
+    return this.#getStride() * position;
+  }
+
+  // First slide of every page; the last page is aligned to the final slide
+  #createPages() {
+    this.pageStarts = [0];
+    if (!this.isLooping) return;
+
+    const lastStart = this.slideCount - this.perView;
+    for (let start = this.step; start < lastStart; start += this.step) {
+      this.pageStarts.push(start);
+    }
+    this.pageStarts.push(lastStart);
+  }
+
+  #getPageOf(index) {
+    let page = 0;
+    this.pageStarts.forEach((start, pageIndex) => {
+      if (start <= index) page = pageIndex;
+    });
+    return page;
+  }
+
+  #teardown() {
+    if (this.autoplayTimer) clearInterval(this.autoplayTimer);
+    this.autoplayTimer = null;
+    if (this.abortController) this.abortController.abort();
+    if (this.scrollFrame) cancelAnimationFrame(this.scrollFrame);
+    this.timeouts?.forEach((timeout) => clearTimeout(timeout));
+    this.timeouts?.clear();
+
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.visibilityObserver) this.visibilityObserver.disconnect();
+
+    // Leave the markup as rendered so a re-connect starts from scratch
+    this.#removeClones();
+    if (this.dotsContainer) this.dotsContainer.innerHTML = "";
+  }
+
+  #removeClones() {
+    this.viewport
+      ?.querySelectorAll(".hc-clone")
+      .forEach((clone) => clone.remove());
+    this.cloneCount = 0;
+  }
+
+  #later(callback, delay) {
+    const timeout = setTimeout(() => {
+      this.timeouts.delete(timeout);
+      callback();
+    }, delay);
+    this.timeouts.add(timeout);
+  }
+
+  #createClone(slide) {
+    const clone = slide.cloneNode(true);
+    clone.setAttribute("aria-hidden", "true");
+    clone.classList.add("hc-clone");
+    clone.removeAttribute("id");
+    clone
+      .querySelectorAll("a, button, input, select, textarea, [tabindex]")
+      .forEach((element) => element.setAttribute("tabindex", "-1"));
+
+    this.#shareCloneMedia(slide, clone);
+    return clone;
+  }
 
-      updateUI();
-      if (updateFocus && slides[currentSlide]) {
-        slides[currentSlide].focus();
+  // Clones reuse the original's downloaded image instead of resolving their
+  // own srcset, and never load video
+  #shareCloneMedia(slide, clone) {
+    const originalImages = slide.querySelectorAll("img");
+
+    clone.querySelectorAll("img").forEach((image, index) => {
+      const original = originalImages[index];
+      image.removeAttribute("srcset");
+      image.removeAttribute("sizes");
+      image.alt = "";
+
+      const copySource = () => {
+        image.src = original.currentSrc || original.src;
+      };
+
+      if (original.complete && original.naturalWidth) {
+        copySource();
+      } else {
+        image.removeAttribute("src");
+        original.addEventListener("load", copySource, {
+          once: true,
+          signal: this.abortController.signal,
+        });
       }
+    });
 
-      setTimeout(() => {
-        isTransitioning = false;
-      }, 50);
+    clone.querySelectorAll("video").forEach((video) => {
+      video.removeAttribute("autoplay");
+      video.removeAttribute("src");
+      video.preload = "none";
+      video.querySelectorAll("source").forEach((source) => source.remove());
     });
-  };
-
-  // Navigate to next slide
-  const nextSlide = () => {
-    if (totalSlides <= 1) return;
-
-    const nextIndex = currentSlide + 1;
-    goToSlide(nextIndex);
-  };
-
-  // Navigate to previous slide
-  const prevSlide = () => {
-    if (totalSlides <= 1) return;
-
-    const prevIndex = currentSlide - 1;
-    goToSlide(prevIndex);
-  };
-
-  // Get the real slide index (excluding clones)
-  const getRealSlideIndex = () => {
-    if (totalSlides <= 1) return 0;
-
-    let realIndex = currentSlide - 1;
-    if (realIndex < 0) realIndex = totalSlides - 1;
-    if (realIndex >= totalSlides) realIndex = 0;
-    return realIndex;
-  };
-
-  // Update UI elements
-  const updateUI = () => {
-    updateActiveDot();
-    updateArrows();
-    updateStatus();
-  };
-
-  // Update status for screen readers
-  const updateStatus = () => {
-    if (statusElement) {
-      const statusTemplate =
-        statusElement.dataset.statusTemplate ||
-        "Slide CURRENT_PLACEHOLDER of TOTAL_PLACEHOLDER";
-      const realIndex = getRealSlideIndex();
-      const statusText = statusTemplate
-        .replace("CURRENT_PLACEHOLDER", realIndex + 1)
-        .replace("TOTAL_PLACEHOLDER", totalSlides);
-      statusElement.textContent = statusText;
-    }
-  };
 
-  // Initialize dot navigation
-  if (dotsContainer && totalSlides > 1) {
-    // Create dots for original slides only
-    for (let i = 0; i < totalSlides; i++) {
+    clone.querySelectorAll("iframe").forEach((iframe) => {
+      iframe.removeAttribute("src");
+      iframe.removeAttribute("data-src");
+    });
+  }
+
+  // A full viewport of clones at each end keeps the wrap seamless
+  #createClones() {
+    this.slides = [...this.originalSlides];
+    if (!this.isLooping) return;
+
+    this.cloneCount = this.perView;
+    const leading = this.originalSlides
+      .slice(-this.cloneCount)
+      .map((slide) => this.#createClone(slide));
+    const trailing = this.originalSlides
+      .slice(0, this.cloneCount)
+      .map((slide) => this.#createClone(slide));
+
+    this.viewport.prepend(...leading);
+    this.viewport.append(...trailing);
+
+    this.slides = [...leading, ...this.originalSlides, ...trailing];
+  }
+
+  // One dot per page rather than per slide
+  #createDots() {
+    if (!this.dotsContainer) return;
+
+    this.dotsContainer.innerHTML = "";
+    if (!this.isLooping) return;
+
+    const labelTemplate = this.dataset.dotLabel || "Go to slide [index]";
+
+    this.pageStarts.forEach((start, page) => {
       const dotButton = document.createElement("button");
       dotButton.type = "button";
       dotButton.setAttribute("role", "tab");
-      dotButton.setAttribute("aria-label", `Go to slide ${i + 1}`);
-      dotButton.setAttribute("aria-controls", carousel.id);
-      dotButton.addEventListener("click", () => {
-        // Navigate to the real slide (accounting for the clone at the beginning)
-        goToSlide(i + 1);
-        pauseAutoplay();
+      dotButton.setAttribute(
+        "aria-label",
+        labelTemplate.replace("[index]", page + 1)
+      );
+      dotButton.setAttribute("aria-controls", this.viewport.id);
+      dotButton.dataset.index = start;
+      this.dotsContainer.appendChild(dotButton);
+    });
+  }
+
+  #bindEvents() {
+    const { signal } = this.abortController;
+
+    this.prevButton?.addEventListener(
+      "click",
+      () => {
+        this.prev();
+        this.#stopAutoplay();
+      },
+      { signal }
+    );
+    this.nextButton?.addEventListener(
+      "click",
+      () => {
+        this.next();
+        this.#stopAutoplay();
+      },
+      { signal }
+    );
+    this.dotsContainer?.addEventListener(
+      "click",
+      (event) => {
+        const dot = event.target.closest("button[data-index]");
+        if (!dot) return;
+        this.goTo(parseInt(dot.dataset.index));
+        this.#stopAutoplay();
+      },
+      { signal }
+    );
+
+    this.viewport.addEventListener("scroll", this.#onScroll.bind(this), {
+      signal,
+    });
+    this.viewport.addEventListener("keydown", this.#onKeydown.bind(this), {
+      signal,
+    });
+
+    this.playPauseButton?.addEventListener(
+      "click",
+      () => {
+        this.isPaused ? this.play() : this.pause();
+      },
+      { signal }
+    );
+
+    // Hold autoplay while the shopper is reading or interacting
+    this.addEventListener("mouseenter", () => this.#suspend("hover"), {
+      signal,
+    });
+    this.addEventListener("mouseleave", () => this.#resume("hover"), {
+      signal,
+    });
+    this.addEventListener("focusin", () => this.#suspend("focus"), {
+      signal,
+    });
+    this.addEventListener(
+      "focusout",
+      (event) => {
+        if (!this.contains(event.relatedTarget)) this.#resume("focus");
+      },
+      { signal }
+    );
+
+    this.#bindPointerEvents(signal);
+
+    // Slides per view can change at each breakpoint
+    [this.tabletQuery, this.desktopQuery].forEach((query) => {
+      query.addEventListener("change", () => this.#layout(), { signal });
+    });
+
+    // Keep the current slide aligned when the viewport width changes
+    this.resizeObserver = new ResizeObserver(() => {
+      if (this.isTransitioning) return;
+      this.viewport.scrollLeft = this.#getScrollLeft(this.position);
+    });
+    this.resizeObserver.observe(this.viewport);
+
+    // Videos stop when the whole slideshow is scrolled out of view
+    this.isInViewport = true;
+    if ("IntersectionObserver" in window) {
+      this.visibilityObserver = new IntersectionObserver((entries) => {
+        this.isInViewport = entries[0].isIntersecting;
+        this.#updateMedia();
       });
-      dotsContainer.appendChild(dotButton);
+      this.visibilityObserver.observe(this);
     }
+
+    document.addEventListener(
+      "visibilitychange",
+      () => {
+        document.hidden
+          ? this.#suspend("hidden")
+          : this.#resume("hidden");
+      },
+      { signal }
+    );
+
+    this.#bindThemeEditorEvents(signal);
   }
 
-  // Update active dot indicator
-  const updateActiveDot = () => {
-    if (!dotsContainer) return;
+  // Pointer Events cover mouse, pen and touch alike. The viewport uses
+  // touch-action: pan-y, so vertical page scrolling stays with the browser
+  #bindPointerEvents(signal) {
+    let gesture = null;
+    let suppressClick = false;
 
-    const dots = [...dotsContainer.children];
-    const realIndex = getRealSlideIndex();
+    const endGesture = (event) => {
+      if (!gesture || event.pointerId !== gesture.pointerId) return;
 
-    dots.forEach((dot, index) => {
-      const isActive = index === realIndex;
-      dot.setAttribute("aria-current", isActive ? "true" : "false");
-      dot.setAttribute("aria-selected", isActive ? "true" : "false");
-      dot.setAttribute("tabindex", isActive ? "0" : "-1");
-    });
-  };
+      const { isDragging, samples } = gesture;
+      gesture = null;
+      this.viewport.classList.remove("is-dragging");
+      if (this.viewport.hasPointerCapture(event.pointerId)) {
+        this.viewport.releasePointerCapture(event.pointerId);
+      }
+      this.#resume("pointer");
 
-  // Update arrow button states
-  const updateArrows = () => {
-    if (prevButton) {
-      prevButton.disabled = totalSlides <= 1;
-      prevButton.setAttribute("aria-disabled", prevButton.disabled);
-    }
-    if (nextButton) {
-      nextButton.disabled = totalSlides <= 1;
-      nextButton.setAttribute("aria-disabled", nextButton.disabled);
-    }
-  };
+      if (!isDragging) return;
 
-  // Listen for scroll events with throttling
-  let scrollTimeout;
-  carousel.addEventListener("scroll", () => {
-    if (scrollTimeout) {
-      window.cancelAnimationFrame(scrollTimeout);
-    }
-    scrollTimeout = window.requestAnimationFrame(() => {
-      if (!isUserInteracting && !isTransitioning) {
-        const newSlideIndex = Math.round(
-          carousel.scrollLeft / carousel.clientWidth
-        );
-        if (newSlideIndex !== currentSlide) {
-          currentSlide = newSlideIndex;
-          updateUI();
+      // Project the release velocity forward to pick the page to settle on
+      const velocity = this.#getVelocity(samples);
+      const projectedScrollLeft = this.viewport.scrollLeft - velocity * 250;
+      const previousPage = this.currentPage;
+
+      this.#snapToNearestPage(projectedScrollLeft).then(() => {
+        this.isUserInteracting = false;
+        if (this.currentPage !== previousPage) this.#stopAutoplay();
+      });
+    };
+
+    this.viewport.addEventListener(
+      "pointerdown",
+      (event) => {
+        if (event.pointerType === "mouse" && event.button !== 0) return;
+        if (!this.isLooping) return;
+
+        suppressClick = false;
+        gesture = {
+          pointerId: event.pointerId,
+          startX: event.clientX,
+          startY: event.clientY,
+          scrollStartLeft: this.viewport.scrollLeft,
+          isDragging: false,
+          samples: [{ x: event.clientX, time: event.timeStamp }],
+        };
+        this.#suspend("pointer");
+      },
+      { signal }
+    );
+
+    this.viewport.addEventListener(
+      "pointermove",
+      (event) => {
+        if (!gesture || event.pointerId !== gesture.pointerId) return;
+
+        const diffX = event.clientX - gesture.startX;
+        const diffY = event.clientY - gesture.startY;
+
+        if (!gesture.isDragging) {
+          if (Math.abs(diffX) < 6 && Math.abs(diffY) < 6) return;
+
+          // Mostly vertical: leave it to the page scroll
+          if (Math.abs(diffY) > Math.abs(diffX)) {
+            gesture = null;
+            this.#resume("pointer");
+            return;
+          }
+
+          gesture.isDragging = true;
+          suppressClick = true;
+          this.isUserInteracting = true;
+          this.viewport.classList.add("is-dragging");
+          this.viewport.setPointerCapture(event.pointerId);
         }
-      }
-    });
-  });
 
-  // Arrow navigation
-  if (prevButton) {
-    prevButton.addEventListener("click", () => {
-      prevSlide();
-      pauseAutoplay();
+        this.viewport.scrollLeft = gesture.scrollStartLeft - diffX;
+
+        // Keep the last 100ms of movement for the release velocity
+        gesture.samples.push({ x: event.clientX, time: event.timeStamp });
+        while (
+          gesture.samples.length > 2 &&
+          event.timeStamp - gesture.samples[0].time > 100
+        ) {
+          gesture.samples.shift();
+        }
+      },
+      { signal }
+    );
+
+    this.viewport.addEventListener("pointerup", endGesture, { signal });
+    this.viewport.addEventListener("pointercancel", endGesture, { signal });
+    this.viewport.addEventListener("lostpointercapture", endGesture, {
+      signal,
     });
+    // Before capture a release outside the viewport never reaches it, and
+    // autoplay would stay suspended
+    window.addEventListener("pointerup", endGesture, { signal });
+    window.addEventListener("pointercancel", endGesture, { signal });
+
+    // A drag that ends over a link must not follow it
+    this.viewport.addEventListener(
+      "click",
+      (event) => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        event.preventDefault();
+        event.stopPropagation();
+      },
+      { capture: true, signal }
+    );
+
+    // Native image and link dragging would hijack the gesture
+    this.viewport.addEventListener(
+      "dragstart",
+      (event) => event.preventDefault(),
+      { signal }
+    );
+  }
+
+  // Average velocity in px/ms across the recent samples
+  #getVelocity(samples) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.time - first.time;
+
+    return elapsed > 0 ? (last.x - first.x) / elapsed : 0;
+  }
+
+  // shopify:section:load replaces this element with a new one, so reloads are
+  // handled by disconnectedCallback and the new element's connectedCallback
+  #bindThemeEditorEvents(signal) {
+    if (!window.Shopify?.designMode) return;
+
+    const isOwnSection = (event) =>
+      event.detail.sectionId === this.dataset.sectionId;
+
+    document.addEventListener(
+      "shopify:section:select",
+      (event) => {
+        if (isOwnSection(event)) this.#suspend("editor");
+      },
+      { signal }
+    );
+    document.addEventListener(
+      "shopify:section:deselect",
+      (event) => {
+        if (isOwnSection(event)) this.#resume("editor");
+      },
+      { signal }
+    );
+    document.addEventListener(
+      "shopify:block:select",
+      (event) => {
+        const index = this.originalSlides.indexOf(event.target);
+        if (index === -1) return;
+        this.#suspend("editor-block");
+        this.goTo(index, { immediate: true });
+      },
+      { signal }
+    );
+    document.addEventListener(
+      "shopify:block:deselect",
+      (event) => {
+        if (this.originalSlides.includes(event.target)) {
+          this.#resume("editor-block");
+        }
+      },
+      { signal }
+    );
+  }
+
+  #getNearestPosition(scrollLeft = this.viewport.scrollLeft) {
+    const position = Math.round(scrollLeft / this.#getStride());
+    return Math.min(Math.max(position, 0), this.slides.length - this.perView);
+  }
+
+  #snapToNearestPage(scrollLeft) {
+    const position = this.#getNearestPosition(scrollLeft);
+    const realIndex = position - this.cloneCount;
+
+    // Dragged into the clones; #goToPosition wraps back to the real slides
+    if (realIndex < 0 || realIndex >= this.slideCount) {
+      return this.#goToPosition(position);
+    }
+
+    const nearestStart = this.pageStarts.reduce((nearest, start) =>
+      Math.abs(start - realIndex) < Math.abs(nearest - realIndex)
+        ? start
+        : nearest
+    );
+    return this.#goToPosition(this.cloneCount + nearestStart);
   }
 
-  if (nextButton) {
-    nextButton.addEventListener("click", () => {
-      nextSlide();
-      pauseAutoplay();
+  #onScroll() {
+    if (this.scrollFrame) cancelAnimationFrame(this.scrollFrame);
+
+    this.scrollFrame = requestAnimationFrame(() => {
+      if (this.isUserInteracting || this.isTransitioning) return;
+
+      const position = this.#getNearestPosition();
+      if (position !== this.position) {
+        this.#setPosition(position);
+      }
     });
   }
 
-  // Keyboard navigation
-  carousel.addEventListener("keydown", (e) => {
-    let handled = false;
+  #onKeydown(event) {
+    let handled = true;
 
-    switch (e.key) {
+    switch (event.key) {
       case "ArrowLeft":
-        prevSlide();
-        handled = true;
+        this.prev();
         break;
       case "ArrowRight":
-        nextSlide();
-        handled = true;
+        this.next();
         break;
       case "Home":
-        goToSlide(1, true); // Go to first real slide
-        handled = true;
+        this.goTo(0, { focus: true });
         break;
       case "End":
-        goToSlide(totalSlides, true); // Go to last real slide
-        handled = true;
+        this.goTo(this.slideCount - 1, { focus: true });
         break;
+      default:
+        handled = false;
     }
 
     if (handled) {
-      e.preventDefault();
-      pauseAutoplay();
+      event.preventDefault();
+      this.#stopAutoplay();
     }
-  });
+  }
+
+  // Custom smooth scroll with ease-out-cubic easing
+  #smoothScrollTo(targetPosition, duration = this.animationDuration) {
+    if (duration === 0) {
+      this.viewport.scrollLeft = targetPosition;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const startPosition = this.viewport.scrollLeft;
+      const distance = targetPosition - startPosition;
+      const startTime = performance.now();
+      const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
 
-  // Autoplay functionality
-  const startAutoplay = () => {
-    if (totalSlides <= 1 || carousel.dataset.autoplay !== "true") return;
+      const animateScroll = (currentTime) => {
+        const progress = Math.min((currentTime - startTime) / duration, 1);
+        this.viewport.scrollLeft =
+          startPosition + distance * easeOutCubic(progress);
 
-    isAutoplayRunning = true;
+        if (progress < 1) {
+          requestAnimationFrame(animateScroll);
+        } else {
+          resolve();
+        }
+      };
 
-    const autoplayInterval = parseInt(carousel.dataset.autoplayMs) || 5000;
-    autoplayTimer = setInterval(() => {
-      nextSlide();
-    }, autoplayInterval);
-  };
+      requestAnimationFrame(animateScroll);
+    });
+  }
 
-  const pauseAutoplay = () => {
-    isAutoplayRunning = false;
+  // Resolves once the slideshow has settled on the new position
+  #goToPosition(position, updateFocus = false, immediate = false) {
+    if (this.isTransitioning) return Promise.resolve();
+
+    this.isTransitioning = true;
+    const duration = immediate ? 0 : this.animationDuration;
+
+    return this.#smoothScrollTo(this.#getScrollLeft(position), duration).then(
+      () => {
+        // Landing on clones: jump to the real slides they mirror
+        if (this.isLooping) {
+          const realIndex = position - this.cloneCount;
+          if (realIndex < 0) {
+            position += this.slideCount;
+          } else if (realIndex >= this.slideCount) {
+            position -= this.slideCount;
+          }
+          this.viewport.scrollLeft = this.#getScrollLeft(position);
+        }
 
-    if (autoplayTimer) {
-      clearInterval(autoplayTimer);
-      autoplayTimer = null;
-    }
-  };
-
-  // Pause on user interaction
-  const pauseOnInteraction = () => {
-    pauseAutoplay();
-    isUserInteracting = true;
-    setTimeout(() => {
-      isUserInteracting = false;
-    }, 1000);
-  };
-
-  carousel.addEventListener("mouseenter", pauseAutoplay);
-  carousel.addEventListener("focusin", pauseAutoplay);
-  carousel.addEventListener("touchstart", pauseOnInteraction, {
-    passive: true,
-  });
-
-  // Resume autoplay when appropriate
-  carousel.addEventListener("mouseleave", () => {
-    if (carousel.dataset.autoplay === "true" && !isUserInteracting) {
-      setTimeout(startAutoplay, 1000);
-    }
-  });
+        this.#setPosition(position);
+        if (updateFocus) this.slides[position]?.focus();
+
+        this.#later(() => {
+          this.isTransitioning = false;
+        }, 50);
+      }
+    );
+  }
+
+  #setPosition(position) {
+    const previousPage = this.currentPage;
+    this.position = position;
+    this.#updateUI();
+
+    if (this.currentPage === previousPage) return;
+
+    this.dispatchEvent(
+      new CustomEvent("slideshow:change", {
+        bubbles: true,
+        detail: {
+          index: this.currentIndex,
+          page: this.currentPage,
+          slide: this.originalSlides[this.currentIndex],
+        },
+      })
+    );
+  }
+
+  #updateUI() {
+    this.#updateDots();
+    this.#updateArrows();
+    this.#updateStatus();
+    this.#updateMedia();
+  }
+
+  // Real slides on the visible page, plus one page either side
+  #getSlidesInRange(pagesAround) {
+    const start = this.currentIndex - this.perView * pagesAround;
+    const length = this.perView * (pagesAround * 2 + 1);
+    const indexes = new Set();
 
-  carousel.addEventListener("focusout", () => {
-    if (carousel.dataset.autoplay === "true" && !isUserInteracting) {
-      setTimeout(startAutoplay, 1000);
+    for (let offset = 0; offset < Math.min(length, this.slideCount); offset++) {
+      indexes.add(
+        (((start + offset) % this.slideCount) + this.slideCount) %
+          this.slideCount
+      );
     }
-  });
-
-  // Improved touch/swipe experience
-  let startX = 0;
-  let scrollStartLeft = 0;
-  let isDragging = false;
-  let startTime = 0;
-
-  carousel.addEventListener(
-    "touchstart",
-    (e) => {
-      startX = e.touches[0].clientX;
-      scrollStartLeft = carousel.scrollLeft;
-      isDragging = true;
-      startTime = Date.now();
-      isUserInteracting = true;
-    },
-    { passive: true }
-  );
-
-  carousel.addEventListener(
-    "touchmove",
-    (e) => {
-      if (!isDragging) return;
 
-      const currentX = e.touches[0].clientX;
-      const diffX = startX - currentX;
-      carousel.scrollLeft = scrollStartLeft + diffX;
-    },
-    { passive: true }
-  );
-
-  carousel.addEventListener("touchend", (e) => {
-    if (!isDragging) return;
-    isDragging = false;
-
-    const endTime = Date.now();
-    const duration = endTime - startTime;
-    const endX = e.changedTouches[0].clientX;
-    const diffX = startX - endX;
-    const velocity = Math.abs(diffX) / duration;
-
-    // Determine if it's a swipe (fast movement) or just a drag
-    if (velocity > 0.5 && Math.abs(diffX) > 50) {
-      // Swipe detected
-      if (diffX > 0) {
-        nextSlide();
-      } else {
-        prevSlide();
+    return Array.from(indexes, (index) => this.originalSlides[index]);
+  }
+
+  #updateMedia() {
+    if (!this.slideCount) return;
+
+    // Switching lazy images to eager starts (pre)loading them right away
+    this.#getSlidesInRange(1).forEach((slide) => {
+      slide.querySelectorAll('img[loading="lazy"]').forEach((image) => {
+        image.loading = "eager";
+      });
+      slide.querySelectorAll('video[preload="none"]').forEach((video) => {
+        video.preload = "metadata";
+      });
+      slide.querySelectorAll("iframe[data-src]").forEach((iframe) => {
+        iframe.src = iframe.dataset.src;
+        iframe.removeAttribute("data-src");
+      });
+    });
+
+    const visibleSlides = this.isInViewport ? this.#getSlidesInRange(0) : [];
+    this.originalSlides.forEach((slide) => {
+      this.#setSlideMediaPlaying(slide, visibleSlides.includes(slide));
+    });
+  }
+
+  #setSlideMediaPlaying(slide, isVisible) {
+    slide.querySelectorAll("video").forEach((video) => {
+      if (!isVisible) {
+        video.pause();
+      } else if (video.hasAttribute("data-autoplay-video")) {
+        video.play().catch(() => {});
       }
-    } else {
-      // Just snap to nearest slide
-      const newSlideIndex = Math.round(
-        carousel.scrollLeft / carousel.clientWidth
+    });
+
+    if (isVisible) return;
+
+    // Embedded players only understand postMessage commands
+    slide.querySelectorAll("iframe[src]").forEach((iframe) => {
+      iframe.contentWindow?.postMessage(
+        iframe.src.includes("vimeo")
+          ? '{"method":"pause"}'
+          : '{"event":"command","func":"pauseVideo","args":""}',
+        "*"
       );
-      goToSlide(newSlideIndex);
-    }
+    });
+  }
 
-    setTimeout(() => {
-      isUserInteracting = false;
-    }, 500);
-  });
-
-  // Handle visibility change (pause when tab is not visible)
-  document.addEventListener("visibilitychange", () => {
-    if (document.hidden) {
-      pauseAutoplay();
-    } else if (carousel.dataset.autoplay === "true" && !isUserInteracting) {
-      setTimeout(startAutoplay, 1000);
-    }
-  });
+  #updateStatus() {
+    if (!this.statusElement) return;
+
+    const statusTemplate =
+      this.statusElement.dataset.statusTemplate ||
+      "Slide CURRENT_PLACEHOLDER of TOTAL_PLACEHOLDER";
+    this.statusElement.textContent = statusTemplate
+      .replace("CURRENT_PLACEHOLDER", this.currentPage + 1)
+      .replace("TOTAL_PLACEHOLDER", this.pageCount);
+  }
+
+  #updateDots() {
+    if (!this.dotsContainer) return;
+
+    Array.from(this.dotsContainer.children).forEach((dot, page) => {
+      const isActive = page === this.currentPage;
+      dot.setAttribute("aria-current", isActive ? "true" : "false");
+      dot.setAttribute("aria-selected", isActive ? "true" : "false");
+      dot.setAttribute("tabindex", isActive ? "0" : "-1");
+    });
+  }
 
-  // Initialize
-  updateUI();
-  if (carousel.dataset.autoplay === "true" && totalSlides > 1) {
-    startAutoplay();
+  #updateArrows() {
+    [this.prevButton, this.nextButton].forEach((button) => {
+      if (!button) return;
+      button.disabled = !this.isLooping;
+      button.setAttribute("aria-disabled", button.disabled);
+    });
   }
 }
+
+customElements.define("slideshow-component", SlideshowComponent);
@@ -0,0 +1,135 @@
+/**
+ * Cart Drawer Component
+ * Slide-out cart that opens after items are added and renders its contents
+ * through the Section Rendering API. The header cart link keeps working as a
+ * plain link to /cart when this script never runs.
+ */
+class CartDrawer extends HTMLElement {
+  constructor() {
+    super();
+    this.onCartAdded = this.onCartAdded.bind(this);
+
+    this.addEventListener("keyup", (event) => {
+      if (event.code === "Escape") this.close();
+    });
+
+    // Close buttons live inside the re-rendered markup, so delegate
+    this.addEventListener("click", (event) => {
+      if (
+        event.target.id === "CartDrawer-Overlay" ||
+        event.target.closest(".drawer__close")
+      ) {
+        this.close();
+      }
+    });
+
+    this.setHeaderCartIconAccessibility();
+  }
+
+  connectedCallback() {
+    document.addEventListener("cart:added", this.onCartAdded);
+    document.addEventListener("product:added-to-cart", this.onCartAdded);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener("cart:added", this.onCartAdded);
+    document.removeEventListener("product:added-to-cart", this.onCartAdded);
+  }
+
+  setHeaderCartIconAccessibility() {
+    document
+      .querySelectorAll("[data-cart-link], [data-cart-link-mobile]")
+      .forEach((cartLink) => {
+        cartLink.setAttribute("role", "button");
+        cartLink.setAttribute("aria-haspopup", "dialog");
+        cartLink.addEventListener("click", (event) => {
+          event.preventDefault();
+          this.open(cartLink);
+        });
+        cartLink.addEventListener("keydown", (event) => {
+          if (event.code.toUpperCase() === "SPACE") {
+            event.preventDefault();
+            this.open(cartLink);
+          }
+        });
+      });
+  }
+
+  // cart:added and product:added-to-cart fire for the same add; render once
+  onCartAdded() {
+    if (this.pendingRender) return;
+
+    this.pendingRender = this.renderContents()
+      .then(() => this.open())
+      .catch((error) => console.error("Cart drawer update failed:", error))
+      .finally(() => {
+        this.pendingRender = null;
+      });
+  }
+
+  async renderContents() {
+    const response = await fetch(
+      `${window.routes.cart_url}?section_id=cart-drawer`
+    );
+    const html = await response.text();
+    const nextInner = new DOMParser()
+      .parseFromString(html, "text/html")
+      .querySelector(".drawer__inner");
+
+    if (!nextInner) return;
+
+    this.querySelector(".drawer__inner").innerHTML = nextInner.innerHTML;
+    this.classList.toggle(
+      "is-empty",
+      !!nextInner.querySelector(".drawer__inner-empty")
+    );
+  }
+
+  open(triggeredBy) {
+    if (triggeredBy) this.activeElement = triggeredBy;
+    if (!this.activeElement) this.activeElement = document.activeElement;
+
+    this.classList.add("active");
+
+    const containerToTrapFocusOn = this.classList.contains("is-empty")
+      ? this.querySelector(".drawer__inner-empty")
+      : document.getElementById("CartDrawer");
+    const focusElement =
+      this.querySelector(".drawer__inner") ||
+      this.querySelector(".drawer__close");
+
+    window.overlayManager.open(this, {
+      focusContainer: containerToTrapFocusOn,
+      focusElement,
+    });
+  }
+
+  close() {
+    if (!this.classList.contains("active")) return;
+
+    this.classList.remove("active");
+    window.overlayManager.close(this, this.activeElement);
+    this.activeElement = null;
+  }
+}
+
+customElements.define("cart-drawer", CartDrawer);
+
+/**
+ * Cart Drawer Items
+ * Reuses the CartItems quantity flow, re-rendering the drawer section instead
+ * of the cart page sections
+ */
+class CartDrawerItems extends CartItems {
+  getSectionsToRender() {
+    return [
+      {
+        id: "CartDrawer",
+        section: "cart-drawer",
+        selector: ".drawer__inner",
+      },
+    ];
+  }
+}
+
+customElements.define("cart-drawer-items", CartDrawerItems);
@@ -0,0 +1,163 @@
+/**
+ * Cart Note Component
+ * Saves the order note and cart attributes (gift wrap, gift message) as the
+ * shopper types. Fields are plain form controls named `note` and
+ * `attributes[Name]`, so without JavaScript they're submitted with the cart
+ * form instead.
+ */
+class CartNote extends HTMLElement {
+  constructor() {
+    super();
+    this.status = this.querySelector("[data-cart-note-status]");
+    this.giftWrap = this.querySelector("[data-gift-wrap]");
+    this.giftMessage = this.querySelector("[data-gift-message]");
+    // Fields edited since the last save; one request covers all of them
+    this.pendingFields = new Set();
+    this.debouncedSave = debounce(() => this.save(), 400);
+
+    this.addEventListener("input", this.onInput.bind(this));
+    this.toggleGiftMessage();
+  }
+
+  onInput(event) {
+    if (!event.target.name) return;
+
+    if (event.target === this.giftWrap) this.toggleGiftMessage();
+    this.pendingFields.add(event.target);
+    this.debouncedSave();
+  }
+
+  toggleGiftMessage() {
+    if (!this.giftWrap || !this.giftMessage) return;
+    this.giftMessage.hidden = !this.giftWrap.checked;
+  }
+
+  save() {
+    const update = {};
+
+    this.pendingFields.forEach((field) => {
+      if (field.name === "note") {
+        update.note = field.value;
+        return;
+      }
+
+      const [, attribute] = field.name.match(/^attributes\[(.+)\]$/) || [];
+      if (!attribute) return;
+
+      update.attributes = update.attributes || {};
+      // An empty value removes the attribute from the cart
+      update.attributes[attribute] =
+        field.type === "checkbox" && !field.checked ? "" : field.value;
+    });
+    this.pendingFields.clear();
+    if (!Object.keys(update).length) return;
+
+    this.setStatus(this.dataset.savingText);
+    return window.cartStore
+      .update(update)
+      .then(() => this.setStatus(this.dataset.savedText))
+      .catch(() => this.setStatus(window.cartStrings.error, true));
+  }
+
+  setStatus(message, isError = false) {
+    if (!this.status) return;
+    this.status.textContent = message;
+    this.status.classList.toggle("is-error", isError);
+  }
+}
+
+customElements.define("cart-note", CartNote);
+
+/**
+ * Line Item Properties Component
+ * Lets shoppers edit a line's text properties (engraving, monograms...).
+ * change.js replaces the whole properties hash and needs a quantity, so the
+ * private `_` properties and the line's current quantity are sent back
+ * unchanged. Editing properties can change the line's key, which is copied
+ * to the quantity input so later quantity updates still find the line.
+ */
+class LineItemProperties extends HTMLElement {
+  constructor() {
+    super();
+    this.status = this.querySelector("[data-properties-status]");
+    this.addEventListener("change", this.onChange.bind(this));
+  }
+
+  get properties() {
+    return JSON.parse(this.dataset.properties || "{}");
+  }
+
+  onChange(event) {
+    if (!event.target.closest("[data-property]")) return;
+    this.save();
+  }
+
+  async save() {
+    const previous = this.properties;
+    const properties = { ...previous };
+    this.querySelectorAll("[data-property]").forEach((field) => {
+      properties[field.dataset.property] = field.value;
+    });
+
+    this.setStatus(this.dataset.savingText);
+    this.setAttribute("aria-busy", "true");
+
+    try {
+      const cart = await window.cartStore.get();
+      const index = cart.items.findIndex(
+        (item) => item.key === this.dataset.key
+      );
+      if (index === -1) throw new Error("Line item not found");
+
+      const updated = await window.cartStore.change({
+        line: index + 1,
+        quantity: this.getQuantity(cart.items[index]),
+        properties,
+      });
+
+      this.updateKey(updated.items[index]);
+      this.setStatus(this.dataset.savedText);
+    } catch (error) {
+      console.error("Line item properties update failed:", error);
+      this.restore(previous);
+      this.setStatus("");
+      this.closest("cart-items")?.showLineError(
+        this.dataset.line,
+        window.cartStrings.error
+      );
+    } finally {
+      this.removeAttribute("aria-busy");
+    }
+  }
+
+  get quantityInput() {
+    return this.closest(".cart-item")?.querySelector('[name="updates[]"]');
+  }
+
+  // Send the entered quantity so a queued quantity change isn't undone
+  getQuantity(item) {
+    const quantity = parseInt(this.quantityInput?.value);
+    return Number.isNaN(quantity) || quantity < 1 ? item.quantity : quantity;
+  }
+
+  updateKey(item) {
+    if (!item) return;
+
+    if (this.quantityInput) this.quantityInput.dataset.key = item.key;
+
+    this.dataset.key = item.key;
+    this.dataset.properties = JSON.stringify(item.properties || {});
+  }
+
+  restore(properties) {
+    this.querySelectorAll("[data-property]").forEach((field) => {
+      field.value = properties[field.dataset.property] ?? "";
+    });
+  }
+
+  setStatus(message) {
+    if (this.status) this.status.textContent = message;
+  }
+}
+
+customElements.define("line-item-properties", LineItemProperties);
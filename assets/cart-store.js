@@ -0,0 +1,237 @@
+/**
+ * Cart Store
+ * Single source of truth for cart state shared by every cart-aware component
+ *
+ * Mutations (add / change / update / clear) are serialized so responses are
+ * applied in the order they were requested. Consumers can either subscribe to
+ * snapshots or listen for the document-level events below.
+ *
+ * Events (dispatched on document):
+ * - cart:updated  { cart, item_count }        after every snapshot change
+ * - cart:added    { items, cart }             after a successful add
+ * - cart:removed  { line, key, cart }         when a line drops to quantity 0
+ * - cart:error    { action, error }           when a request fails
+ */
+class CartStore {
+  #state = null;
+  #loading = null;
+  #queue = Promise.resolve();
+  #subscribers = new Set();
+
+  // Latest known cart snapshot (null until the first load)
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Resolve the current cart, fetching it only once per page load
+   */
+  get() {
+    if (this.#state) return Promise.resolve(this.#state);
+    if (!this.#loading) {
+      this.#loading = this.refresh().finally(() => {
+        this.#loading = null;
+      });
+    }
+    return this.#loading;
+  }
+
+  /**
+   * Re-fetch the cart from the server and publish the new snapshot
+   */
+  refresh() {
+    return this.#enqueue("refresh", async () => {
+      const cart = await this.#fetchCart();
+      this.#setState(cart);
+      return cart;
+    });
+  }
+
+  /**
+   * Add one or more variants to the cart
+   * @param {FormData|Object|Object[]} items - product form data, a single
+   *   `{ id, quantity, properties }` item or an array of them
+   * @param {Object} options - `{ sections, sections_url }` for section rendering
+   */
+  add(items, options = {}) {
+    return this.#enqueue("add", async () => {
+      let body;
+      const headers = {
+        Accept: "application/json",
+        "X-Requested-With": "XMLHttpRequest",
+      };
+
+      if (items instanceof FormData) {
+        // Copied so the caller's form data can be submitted again unchanged
+        body = new FormData();
+        for (const [key, value] of items) body.append(key, value);
+        if (options.sections) {
+          body.append("sections", [].concat(options.sections).join(","));
+          body.append(
+            "sections_url",
+            options.sections_url || window.location.pathname
+          );
+        }
+      } else {
+        headers["Content-Type"] = "application/json";
+        body = JSON.stringify({
+          items: [].concat(items),
+          ...this.#sectionParams(options),
+        });
+      }
+
+      const response = await fetch(window.routes.cart_add_url, {
+        method: "POST",
+        headers,
+        body,
+      });
+      const result = await this.#parse(response);
+      const addedItems = result.items || [result];
+
+      // add.js returns the added items, not the cart
+      const cart = await this.#fetchCart();
+      this.#setState(cart);
+      this.#emit("cart:added", { items: addedItems, cart });
+
+      return { ...result, items: addedItems, cart };
+    });
+  }
+
+  /**
+   * Change a single line's quantity and/or properties
+   * @param {Object} change - `{ line | id, quantity, properties }`
+   * @param {Object} options - `{ sections, sections_url }` for section rendering
+   */
+  change(change, options = {}) {
+    return this.#enqueue("change", async () => {
+      const previous = this.#lineFor(change);
+      const cart = await this.#post(window.routes.cart_change_url, {
+        ...change,
+        ...this.#sectionParams(options),
+      });
+
+      this.#setState(cart);
+      if (Number(change.quantity) === 0) {
+        this.#emit("cart:removed", {
+          line: change.line,
+          key: previous ? previous.key : change.id,
+          cart,
+        });
+      }
+
+      return cart;
+    });
+  }
+
+  /**
+   * Bulk update quantities, note and attributes
+   * @param {Object} update - `{ updates, note, attributes }`
+   * @param {Object} options - `{ sections, sections_url }` for section rendering
+   */
+  update(update, options = {}) {
+    return this.#enqueue("update", async () => {
+      const cart = await this.#post(window.routes.cart_update_url, {
+        ...update,
+        ...this.#sectionParams(options),
+      });
+      this.#setState(cart);
+      return cart;
+    });
+  }
+
+  /**
+   * Remove every line from the cart
+   */
+  clear() {
+    return this.#enqueue("clear", async () => {
+      const cart = await this.#post(window.routes.cart_clear_url, {});
+      this.#setState(cart);
+      return cart;
+    });
+  }
+
+  /**
+   * Register a callback for every snapshot change
+   * @returns {Function} unsubscribe
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+    if (this.#state) callback(this.#state);
+    return () => this.#subscribers.delete(callback);
+  }
+
+  // Run mutations one after another; a failure never blocks the queue
+  #enqueue(action, task) {
+    const run = this.#queue.then(task).catch((error) => {
+      this.#emit("cart:error", { action, error });
+      throw error;
+    });
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+
+  async #fetchCart() {
+    const response = await fetch(`${window.routes.cart_url}.js`, {
+      headers: { Accept: "application/json" },
+    });
+    return this.#parse(response);
+  }
+
+  async #post(url, payload) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+    return this.#parse(response);
+  }
+
+  async #parse(response) {
+    const data = await response.json();
+
+    if (!response.ok || data.status) {
+      const error = new Error(
+        data.description ||
+          data.message ||
+          data.errors ||
+          window.cartStrings?.error
+      );
+      error.status = data.status || response.status;
+      error.response = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  #sectionParams(options) {
+    if (!options.sections) return {};
+
+    return {
+      sections: options.sections,
+      sections_url: options.sections_url || window.location.pathname,
+    };
+  }
+
+  #lineFor({ line, id }) {
+    if (!this.#state) return null;
+    if (line) return this.#state.items[line - 1] || null;
+    return this.#state.items.find((item) => item.key === id) || null;
+  }
+
+  #setState(cart) {
+    this.#state = cart;
+    this.#subscribers.forEach((callback) => callback(cart));
+    this.#emit("cart:updated", { cart, item_count: cart.item_count });
+  }
+
+  #emit(name, detail) {
+    document.dispatchEvent(new CustomEvent(name, { detail }));
+  }
+}
+
+window.CartStore = CartStore;
+window.cartStore = new CartStore();
@@ -3,6 +3,183 @@
  * Handles filtering functionality for collection pages
  */
 
+/**
+ * <collection-filters>
+ * Storefront filtering (list, boolean and price range) built on collection.filters.
+ * Re-renders the products grid through the Section Rendering API, keeps the
+ * URL in sync and restores state on back/forward navigation.
+ */
+class CollectionFilters extends HTMLElement {
+  constructor() {
+    super();
+    this.cache = new Map();
+    this.form = this.querySelector("form");
+    this.onPopState = this.onPopState.bind(this);
+    this.onFacetRemove = this.onFacetRemove.bind(this);
+
+    this.debouncedOnSubmit = debounce(() => {
+      this.renderPage(this.createSearchParams());
+    }, 500);
+
+    this.form.addEventListener("input", this.debouncedOnSubmit);
+    this.form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.renderPage(this.createSearchParams());
+    });
+  }
+
+  connectedCallback() {
+    this.initialSearchParams = window.location.search.slice(1);
+    this.currentSearchParams = this.initialSearchParams;
+    window.addEventListener("popstate", this.onPopState);
+    // Chips live here, but the empty grid state also renders a "clear all" link
+    document.addEventListener("click", this.onFacetRemove);
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener("popstate", this.onPopState);
+    document.removeEventListener("click", this.onFacetRemove);
+  }
+
+  // The grid's load more state can sit on an entry without searchParams
+  onPopState(event) {
+    const searchParams =
+      event.state?.searchParams ?? this.initialSearchParams;
+    if (searchParams === this.currentSearchParams) return;
+
+    this.renderPage(searchParams, false);
+  }
+
+  onFacetRemove(event) {
+    const link = event.target.closest("[data-facet-remove]");
+    if (!link) return;
+
+    event.preventDefault();
+    this.renderPage(new URL(link.href).searchParams.toString());
+  }
+
+  createSearchParams() {
+    const formData = new FormData(this.form);
+    const params = new URLSearchParams();
+
+    // Empty price inputs would otherwise filter on "0"
+    for (const [name, value] of formData.entries()) {
+      if (value !== "") params.append(name, value);
+    }
+
+    return params.toString();
+  }
+
+  async renderPage(searchParams, updateURL = true) {
+    this.currentSearchParams = searchParams;
+    const sectionId = this.dataset.sectionId;
+    const url = `${window.location.pathname}?section_id=${sectionId}&${searchParams}`;
+    const grid = document.getElementById("ProductGridContainer");
+
+    grid?.classList.add("loading");
+    grid?.setAttribute("aria-busy", "true");
+
+    try {
+      if (!this.cache.has(url)) {
+        const response = await fetch(url);
+        this.cache.set(url, await response.text());
+      }
+
+      // A newer request superseded this one while it was in flight
+      if (this.currentSearchParams !== searchParams) return;
+
+      const html = new DOMParser().parseFromString(
+        this.cache.get(url),
+        "text/html"
+      );
+      this.renderProductGrid(html, !updateURL);
+      this.renderFilters(html, !updateURL);
+
+      if (updateURL) this.updateURL(searchParams);
+
+      this.dispatchEvent(
+        new CustomEvent("collection-filters:update", {
+          bubbles: true,
+          detail: {
+            filters: this.getActiveFilters(),
+            params: new URLSearchParams(searchParams),
+          },
+        })
+      );
+    } catch (error) {
+      console.error("Filter update failed:", error);
+    } finally {
+      grid?.classList.remove("loading");
+      grid?.removeAttribute("aria-busy");
+    }
+  }
+
+  renderProductGrid(html, restoreHistory = false) {
+    const grid = document.getElementById("ProductGridContainer");
+    const nextGrid = html.getElementById("ProductGridContainer");
+    if (!grid || !nextGrid) return;
+
+    // Read by the grid when it connects; see collection-products-grid.js
+    if (!restoreHistory) nextGrid.dataset.restoreHistory = "false";
+    grid.replaceWith(nextGrid);
+  }
+
+  // Keep the group the shopper is interacting with, unless restoring history
+  renderFilters(html, replaceAll = false) {
+    const activeGroup = replaceAll
+      ? null
+      : document.activeElement?.closest(".collection-filters__group");
+
+    html.querySelectorAll(".collection-filters__group").forEach((nextGroup) => {
+      const group = document.getElementById(nextGroup.id);
+      if (!group || group === activeGroup) return;
+
+      nextGroup.open = group.open;
+      group.replaceWith(nextGroup);
+    });
+
+    if (replaceAll) {
+      const nextSort = html.querySelector('[name="sort_by"]');
+      const sort = this.form.querySelector('[name="sort_by"]');
+      if (nextSort && sort) sort.value = nextSort.value;
+    }
+
+    const activeFacets = this.querySelector(".active-facets");
+    const nextActiveFacets = html.querySelector(".active-facets");
+    if (activeFacets && nextActiveFacets) {
+      activeFacets.innerHTML = nextActiveFacets.innerHTML;
+    }
+  }
+
+  updateURL(searchParams) {
+    history.pushState(
+      { searchParams },
+      "",
+      `${window.location.pathname}${searchParams && "?".concat(searchParams)}`
+    );
+  }
+
+  // Map of param name -> Map of value -> { label } for analytics consumers
+  getActiveFilters() {
+    const filters = new Map();
+
+    this.form
+      .querySelectorAll("input:checked, input[type='number']")
+      .forEach((input) => {
+        if (!input.name.startsWith("filter.") || input.value === "") return;
+
+        if (!filters.has(input.name)) filters.set(input.name, new Map());
+        filters
+          .get(input.name)
+          .set(input.value, { label: input.dataset.label || input.value });
+      });
+
+    return filters;
+  }
+}
+
+customElements.define("collection-filters", CollectionFilters);
+
 (function () {
   "use strict";
 
@@ -17,29 +194,20 @@
     const filtersContainer = document.querySelector("collection-filters");
     if (!filtersContainer) return;
 
-    // The custom element handles all the functionality
-    // This file provides additional utilities if needed
+    // The custom element handles rendering, URL state and history;
+    // this file provides additional utilities on top of it
 
     // Listen for filter updates
     document.addEventListener("collection-filters:update", handleFilterUpdate);
   }
 
   function handleFilterUpdate(event) {
-    const { filters, params } = event.detail;
-
-    // Update collection products (if needed)
-    updateCollectionProducts(params);
+    const { filters } = event.detail;
 
     // Track analytics (if needed)
     trackFilterUsage(filters);
   }
 
-  function updateCollectionProducts(params) {
-    // This would integrate with collection product loading
-    // For now, just update the URL
-    console.log("Filters updated:", params.toString());
-  }
-
   function trackFilterUsage(filters) {
     // Track filter usage for analytics
     if (window.gtag) {
@@ -16,22 +16,33 @@ class CollectionProductsGrid extends HTMLElement {
     this.initializeCartHelpers();
   }
 
+  disconnectedCallback() {
+    if ("scrollRestoration" in history) history.scrollRestoration = "auto";
+    if (this.unsubscribeCart) this.unsubscribeCart();
+    if (this.observer) this.observer.disconnect();
+    if (this.onScroll) window.removeEventListener("scroll", this.onScroll);
+  }
+
   setupEventListeners() {
     // Quick add to cart functionality
     this.addEventListener("submit", this.handleQuickAdd.bind(this));
 
-    // Load more functionality
-    const loadMoreButton = this.querySelector("[data-load-more]");
-    if (loadMoreButton) {
-      loadMoreButton.addEventListener("click", this.handleLoadMore.bind(this));
-    }
+    // Quick view for products that need options chosen
+    this.addEventListener("click", this.handleQuickView.bind(this));
+
+    // Load more / infinite scroll functionality
+    this.setupPagination();
   }
 
   async initializeCartHelpers() {
-    try {
-      // Initialize cart state
-      this.cart = await this.fetchCart();
+    // Keep indicators in sync with the shared cart store
+    this.unsubscribeCart = window.cartStore.subscribe((cart) => {
+      this.cart = cart;
       this.updateCartIndicators();
+    });
+
+    try {
+      await window.cartStore.get();
     } catch (error) {
       console.warn("Failed to initialize cart helpers:", error);
     }
@@ -52,46 +63,33 @@ class CollectionProductsGrid extends HTMLElement {
       this.setLoadingState(submitButton, true);
 
       const formData = new FormData(form);
-      const response = await this.addToCart(formData);
-
-      if (response.ok) {
-        const result = await response.json();
-        await this.handleAddToCartSuccess(result, productCard);
-      } else {
-        const error = await response.json();
-        this.handleAddToCartError(error, submitButton);
-      }
+      const result = await this.addToCart(formData);
+      this.handleAddToCartSuccess(result, productCard);
     } catch (error) {
-      console.error("Add to cart failed:", error);
-      this.handleAddToCartError(
-        { message: "Network error occurred" },
-        submitButton
-      );
+      this.handleAddToCartError(error, submitButton);
     } finally {
       this.setLoadingState(submitButton, false);
     }
   }
 
-  async addToCart(formData) {
-    return fetch("/cart/add.js", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "X-Requested-With": "XMLHttpRequest",
-      },
-      body: new URLSearchParams(formData),
-    });
+  handleQuickView(event) {
+    const trigger = event.target.closest("[data-quick-view]");
+    const modal = document.querySelector("quick-view-modal");
+    if (!trigger || !modal) return;
+
+    // Let modified clicks open the product page in a new tab
+    if (event.metaKey || event.ctrlKey || event.shiftKey) return;
+
+    event.preventDefault();
+    modal.show(trigger);
   }
 
-  async fetchCart() {
-    const response = await fetch("/cart.js");
-    return response.json();
+  addToCart(formData) {
+    return window.cartStore.add(formData);
   }
 
-  async handleAddToCartSuccess(result, productCard) {
-    // Update cart state
-    this.cart = await this.fetchCart();
-    this.updateCartIndicators();
+  handleAddToCartSuccess(result, productCard) {
+    // Cart indicators are refreshed by the cart store subscription
 
     // Show success feedback
     this.showSuccessFeedback(productCard);
@@ -100,8 +98,8 @@ class CollectionProductsGrid extends HTMLElement {
     this.dispatchEvent(
       new CustomEvent("product:added-to-cart", {
         detail: {
-          product: result,
-          cart: this.cart,
+          product: result.items[0],
+          cart: result.cart,
         },
         bubbles: true,
       })
@@ -215,57 +213,194 @@ class CollectionProductsGrid extends HTMLElement {
     const cartTotalElements = document.querySelectorAll("[data-cart-total]");
     cartTotalElements.forEach((element) => {
       if (this.cart && this.cart.total_price) {
-        element.textContent = this.formatMoney(this.cart.total_price);
+        element.textContent = formatMoney(this.cart.total_price);
       }
     });
   }
 
-  formatMoney(cents) {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-    }).format(cents / 100);
-  }
-
   async handleLoadMore(event) {
     event.preventDefault();
+    await this.loadNextPage();
+  }
 
-    const button = event.target;
-    const currentPage = parseInt(button.dataset.currentPage) || 1;
-    const nextPage = currentPage + 1;
+  setupPagination() {
+    this.grid = this.querySelector(".products-grid");
+    this.loadMoreButton = this.querySelector("[data-load-more]");
+    this.loadStatus = this.querySelector("[data-load-status]");
+    this.firstPage = parseInt(this.dataset.currentPage) || 1;
+    this.lastPage = this.firstPage;
+    this.isLoadingPage = false;
 
-    try {
-      button.disabled = true;
-      button.textContent = "Loading...";
+    if (!this.grid || this.dataset.paginationType === "pagination") return;
+
+    this.productIds = new Set(
+      Array.from(this.grid.querySelectorAll(".product-card"), (card) => {
+        return card.dataset.productId;
+      })
+    );
+
+    if (this.loadMoreButton) {
+      this.loadMoreButton.addEventListener(
+        "click",
+        this.handleLoadMore.bind(this)
+      );
+    }
 
-      const response = await fetch(
-        `${window.location.pathname}?page=${nextPage}&section_id=${this.dataset.sectionId}`
+    // The button stays as a fallback when IntersectionObserver is unavailable
+    if (
+      this.dataset.paginationType === "infinite" &&
+      this.loadMoreButton &&
+      "IntersectionObserver" in window
+    ) {
+      this.observer = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            this.loadNextPage();
+          }
+        },
+        { rootMargin: "0px 0px 400px 0px" }
       );
-      const html = await response.text();
+      this.observer.observe(this.loadMoreButton);
+    }
 
-      // Parse and append new products
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, "text/html");
-      const newProducts = doc.querySelectorAll(".product-card");
+    this.onScroll = debounce(() => this.saveHistoryState(), 200);
+    window.addEventListener("scroll", this.onScroll, { passive: true });
+
+    // Grids swapped in by a filter change start fresh; only the first render
+    // and back/forward navigation restore what was loaded before
+    if (this.dataset.restoreHistory !== "false") this.restoreLoadedPages();
+  }
 
-      if (newProducts.length > 0) {
-        const grid = this.querySelector(".products-grid");
-        newProducts.forEach((product) => {
-          grid.appendChild(product);
-        });
+  async fetchPage(page) {
+    // Keep active filters and sorting when fetching another page
+    const params = new URLSearchParams(window.location.search);
+    params.set("page", page);
+    params.set("section_id", this.dataset.sectionId);
 
-        button.dataset.currentPage = nextPage;
-        button.textContent = "Load More";
+    const response = await fetch(
+      `${window.location.pathname}?${params.toString()}`
+    );
+    if (!response.ok) throw new Error(response.status);
+
+    return new DOMParser().parseFromString(
+      await response.text(),
+      "text/html"
+    );
+  }
+
+  // Cards can shift between pages while browsing; skip ones already shown
+  takeNewProducts(html) {
+    return Array.from(html.querySelectorAll(".product-card")).filter(
+      (card) => {
+        if (this.productIds.has(card.dataset.productId)) return false;
+        this.productIds.add(card.dataset.productId);
+        return true;
+      }
+    );
+  }
+
+  async loadNextPage() {
+    if (this.isLoadingPage || !this.loadMoreButton) return;
+
+    const button = this.loadMoreButton;
+    const nextPage = this.lastPage + 1;
+    this.isLoadingPage = true;
+
+    try {
+      button.disabled = true;
+      button.textContent = this.dataset.loadingText;
+
+      const html = await this.fetchPage(nextPage);
+      this.grid.append(...this.takeNewProducts(html));
+      this.lastPage = nextPage;
+      button.dataset.currentPage = nextPage;
+
+      this.saveHistoryState();
+      this.announceProductCount();
+
+      if (html.querySelector("[data-load-more]")) {
+        button.textContent = this.dataset.loadMoreText;
         button.disabled = false;
       } else {
-        // No more products
-        button.style.display = "none";
+        this.removeLoadMore();
       }
     } catch (error) {
       console.error("Load more failed:", error);
-      button.textContent = "Try Again";
+      button.textContent = this.dataset.errorText;
       button.disabled = false;
+    } finally {
+      this.isLoadingPage = false;
+    }
+  }
+
+  removeLoadMore() {
+    if (this.observer) this.observer.disconnect();
+    this.loadMoreButton.remove();
+    this.loadMoreButton = null;
+  }
+
+  // A reload or non-bfcache back navigation only renders the last page;
+  // fetch the earlier ones again and put the shopper back where they were
+  async restoreLoadedPages() {
+    const state = history.state && history.state.collectionProducts;
+    if (
+      !state ||
+      state.sectionId !== this.dataset.sectionId ||
+      state.lastPage !== this.lastPage
+    ) {
+      return;
     }
+
+    // Only while the earlier pages load; later navigations restore natively
+    const canControlScroll = "scrollRestoration" in history;
+    if (canControlScroll) history.scrollRestoration = "manual";
+
+    try {
+      const pageNumbers = [];
+      for (let page = state.firstPage; page < this.lastPage; page++) {
+        pageNumbers.push(page);
+      }
+      const pages = await Promise.all(
+        pageNumbers.map((page) => this.fetchPage(page))
+      );
+
+      const products = pages.flatMap((html) => this.takeNewProducts(html));
+      this.grid.prepend(...products);
+      this.firstPage = state.firstPage;
+      this.announceProductCount();
+    } catch (error) {
+      console.error("Restoring loaded pages failed:", error);
+    }
+
+    window.scrollTo(0, state.scrollY);
+    if (canControlScroll) history.scrollRestoration = "auto";
+  }
+
+  saveHistoryState() {
+    const url = new URL(window.location.href);
+    if (this.lastPage > 1) url.searchParams.set("page", this.lastPage);
+
+    history.replaceState(
+      {
+        ...history.state,
+        collectionProducts: {
+          sectionId: this.dataset.sectionId,
+          firstPage: this.firstPage,
+          lastPage: this.lastPage,
+          scrollY: window.scrollY,
+        },
+      },
+      "",
+      url.toString()
+    );
+  }
+
+  announceProductCount() {
+    if (!this.loadStatus) return;
+
+    this.loadStatus.textContent = this.dataset.showingText
+      .replace("[shown]", this.grid.querySelectorAll(".product-card").length)
+      .replace("[count]", this.dataset.totalProducts);
   }
 }
 
@@ -19,22 +19,36 @@ class CartRemoveButton extends HTMLElement {
 
 customElements.define("cart-remove-button", CartRemoveButton);
 
+/**
+ * Cart Items
+ * Quantity changes for the cart page (<cart-items>) and, through
+ * CartDrawerItems, the cart drawer. By default the list is disabled until the
+ * server responds. With [data-optimistic] the line's quantity and price update
+ * straight away instead: changes are coalesced per line item key, sent one
+ * line at a time through cartStore, and the sections are re-rendered from the
+ * last response once no line is waiting. A failed change rolls the line back
+ * and shows cartStrings.error in the line's error element.
+ */
 class CartItems extends HTMLElement {
   constructor() {
     super();
-    this.lineItemStatusElement =
-      document.getElementById("shopping-cart-line-item-status") ||
-      document.getElementById("CartDrawer-LineItemStatus");
     this.currentItemCount = Array.from(
       this.querySelectorAll('[name="updates[]"]')
     ).reduce(
       (total, quantityInput) => total + parseInt(quantityInput.value),
       0
     );
+    this.optimistic = this.hasAttribute("data-optimistic");
+    this.pendingLines = new Map();
+    this.lineErrors = new Map();
+    this.latestState = null;
     this.debouncedOnChange = debounce((event) => {
       this.onChange(event);
     }, 300);
-    this.addEventListener("change", this.debouncedOnChange.bind(this));
+    // Optimistic updates coalesce per line, so every change counts
+    this.addEventListener("change", (event) =>
+      this.optimistic ? this.onChange(event) : this.debouncedOnChange(event)
+    );
   }
 
   onChange(event) {
@@ -46,45 +60,26 @@ class CartItems extends HTMLElement {
   }
 
   updateQuantity(line, quantity, name) {
-    this.enableLoading(line);
+    const input = this.getQuantityInput(line);
+    if (this.optimistic && input?.dataset.key) {
+      this.queueLineUpdate(input, quantity);
+      return;
+    }
 
-    const body = JSON.stringify({
-      line,
-      quantity,
-      sections: this.getSectionsToRender().map((section) => section.section),
-      sections_url: window.location.pathname,
-    });
+    this.enableLoading(line);
 
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
-        this.classList.toggle("is-empty", parsedState.item_count === 0);
+    window.cartStore
+      .change(
+        { line, quantity },
+        {
+          sections: this.getSectionsToRender()
+            .map((section) => section.section)
+            .filter(Boolean),
+        }
+      )
+      .then((parsedState) => {
+        this.renderCartState(parsedState);
         const cartDrawerWrapper = document.querySelector("cart-drawer");
-        const cartFooter = document.getElementById("main-cart-footer");
-
-        if (cartFooter)
-          cartFooter.classList.toggle("is-empty", parsedState.item_count === 0);
-        if (cartDrawerWrapper)
-          cartDrawerWrapper.classList.toggle(
-            "is-empty",
-            parsedState.item_count === 0
-          );
-
-        this.getSectionsToRender().forEach((section) => {
-          const elementToReplace =
-            document
-              .getElementById(section.id)
-              .querySelector(section.selector) ||
-            document.getElementById(section.id);
-
-          elementToReplace.innerHTML = this.getSectionInnerHTML(
-            parsedState.sections[section.section],
-            section.selector
-          );
-        });
 
         this.updateLiveRegions(line, parsedState.item_count);
         const lineItem =
@@ -114,10 +109,229 @@ class CartItems extends HTMLElement {
         this.querySelectorAll(".loading-overlay").forEach((overlay) =>
           overlay.classList.add("hidden")
         );
+        this.showLineError(line, window.cartStrings.error);
         this.disableLoading();
       });
   }
 
+  // Sections that aren't on this page come back empty and are skipped
+  renderCartState(parsedState) {
+    this.classList.toggle("is-empty", parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector("cart-drawer");
+    const cartFooter = document.getElementById("main-cart-footer");
+
+    if (cartFooter)
+      cartFooter.classList.toggle("is-empty", parsedState.item_count === 0);
+    if (cartDrawerWrapper)
+      cartDrawerWrapper.classList.toggle(
+        "is-empty",
+        parsedState.item_count === 0
+      );
+
+    this.getSectionsToRender().forEach((section) => {
+      const container = document.getElementById(section.id);
+      const html = parsedState.sections?.[section.section];
+      if (!container || !html) return;
+
+      const elementToReplace =
+        container.querySelector(section.selector) || container;
+      elementToReplace.innerHTML = this.getSectionInnerHTML(
+        html,
+        section.selector
+      );
+    });
+
+    document.querySelectorAll("[data-cart-total]").forEach((element) => {
+      element.textContent = formatMoney(parsedState.total_price);
+    });
+  }
+
+  queueLineUpdate(input, quantity) {
+    const key = input.dataset.key;
+    const pending = this.pendingLines.get(key) || {
+      confirmed: parseInt(input.defaultValue),
+      timer: null,
+      inFlight: false,
+    };
+    pending.quantity = Math.max(parseInt(quantity) || 0, 0);
+    this.pendingLines.set(key, pending);
+
+    this.renderLine(key, pending.quantity);
+    this.showLineError(input.dataset.index, "");
+
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      pending.timer = null;
+      this.sendLineUpdate(key);
+    }, 300);
+  }
+
+  sendLineUpdate(key) {
+    const pending = this.pendingLines.get(key);
+    // A line already in flight sends its latest quantity when it returns
+    if (!pending || pending.inFlight) return;
+
+    if (pending.quantity === pending.confirmed) {
+      this.pendingLines.delete(key);
+      this.settleLineUpdates();
+      return;
+    }
+
+    const quantity = pending.quantity;
+    pending.inFlight = true;
+    this.lineItemStatusElement?.setAttribute("aria-hidden", false);
+
+    window.cartStore
+      .change(
+        { id: key, quantity },
+        {
+          sections: this.getSectionsToRender()
+            .map((section) => section.section)
+            .filter(Boolean),
+        }
+      )
+      .then((parsedState) => {
+        pending.inFlight = false;
+        this.latestState = parsedState;
+
+        // The server caps quantities at the available inventory
+        const item = parsedState.items.find((item) => item.key === key);
+        pending.confirmed = item ? item.quantity : 0;
+        const input = this.getQuantityInputByKey(key);
+        if (input) input.defaultValue = pending.confirmed;
+
+        if (pending.confirmed !== quantity) {
+          clearTimeout(pending.timer);
+          pending.timer = null;
+          pending.quantity = pending.confirmed;
+          this.renderLine(key, pending.confirmed);
+          this.lineErrors.set(
+            key,
+            window.cartStrings.quantityError.replace(
+              "[quantity]",
+              pending.confirmed
+            )
+          );
+        }
+
+        if (pending.quantity !== pending.confirmed) {
+          if (!pending.timer) this.sendLineUpdate(key);
+          return;
+        }
+
+        this.pendingLines.delete(key);
+        this.settleLineUpdates();
+      })
+      .catch(() => {
+        pending.inFlight = false;
+        clearTimeout(pending.timer);
+        this.pendingLines.delete(key);
+
+        this.renderLine(key, pending.confirmed);
+        this.lineErrors.set(key, window.cartStrings.error);
+        this.settleLineUpdates();
+      });
+  }
+
+  // The drawer's re-render replaces this element along with .drawer__inner,
+  // so lookups after a render go through the element that took its place
+  get currentElement() {
+    return this.isConnected ? this : document.querySelector(this.localName);
+  }
+
+  get lineItemStatusElement() {
+    return this.currentElement?.querySelector(
+      "#shopping-cart-line-item-status, #CartDrawer-LineItemStatus"
+    );
+  }
+
+  // Rendering while other lines wait would overwrite their optimistic state
+  settleLineUpdates() {
+    if (this.pendingLines.size > 0) return;
+
+    const focusedName = document.activeElement?.getAttribute("name");
+    const focusedKey = document.activeElement
+      ?.closest(".cart-item")
+      ?.querySelector('[name="updates[]"]')?.dataset.key;
+
+    if (this.latestState) {
+      const parsedState = this.latestState;
+      this.renderCartState(parsedState);
+      this.currentItemCount = parsedState.item_count;
+      this.latestState = null;
+
+      const focusedLine = focusedKey && this.getLineItem(focusedKey);
+      focusedLine?.querySelector(`[name="${focusedName}"]`)?.focus();
+      this.announceCartState(parsedState);
+    }
+
+    this.lineErrors.forEach((message, key) => {
+      const input = this.getQuantityInputByKey(key);
+      if (input) this.showLineError(input.dataset.index, message);
+    });
+    this.lineErrors.clear();
+    this.lineItemStatusElement?.setAttribute("aria-hidden", true);
+  }
+
+  // Optimistic updates skip updateLiveRegions, so announce the settled total
+  announceCartState(parsedState) {
+    const cartStatus = this.currentElement?.querySelector(
+      "#cart-live-region-text, #CartDrawer-LiveRegionText"
+    );
+    if (!cartStatus) return;
+
+    const total = formatMoney(parsedState.total_price);
+    cartStatus.setAttribute("aria-hidden", false);
+    // A region that was just re-rendered needs a moment to be picked up
+    setTimeout(() => {
+      cartStatus.textContent = `${window.cartStrings.newSubtotal}: ${total}`;
+    }, 100);
+    setTimeout(() => {
+      cartStatus.setAttribute("aria-hidden", true);
+    }, 1000);
+  }
+
+  renderLine(key, quantity) {
+    const input = this.getQuantityInputByKey(key);
+    const lineItem = this.getLineItem(key);
+    if (!input || !lineItem) return;
+
+    input.value = quantity;
+    lineItem.hidden = quantity === 0;
+
+    const price = lineItem.querySelector("[data-line-price]");
+    if (price && price.dataset.unitPrice) {
+      price.textContent = formatMoney(
+        parseInt(price.dataset.unitPrice) * quantity
+      );
+    }
+  }
+
+  showLineError(line, message) {
+    const lineItemError = this.currentElement?.querySelector(
+      `#Line-item-error-${line}, #CartDrawer-LineItemError-${line}`
+    );
+    if (!lineItemError) return;
+
+    lineItemError.querySelector(".cart-item__error-text").innerHTML = message;
+  }
+
+  getQuantityInput(line) {
+    return this.currentElement?.querySelector(
+      `[name="updates[]"][data-index="${line}"]`
+    );
+  }
+
+  getQuantityInputByKey(key) {
+    return this.currentElement?.querySelector(
+      `[name="updates[]"][data-key="${CSS.escape(key)}"]`
+    );
+  }
+
+  getLineItem(key) {
+    return this.getQuantityInputByKey(key)?.closest(".cart-item");
+  }
+
   updateLiveRegions(line, itemCount) {
     if (this.currentItemCount === itemCount) {
       const lineItemError =
@@ -135,7 +349,7 @@ class CartItems extends HTMLElement {
     }
 
     this.currentItemCount = itemCount;
-    this.lineItemStatusElement.setAttribute("aria-hidden", true);
+    this.lineItemStatusElement?.setAttribute("aria-hidden", true);
 
     const cartStatus =
       document.getElementById("cart-live-region-text") ||
@@ -171,7 +385,7 @@ class CartItems extends HTMLElement {
     );
 
     document.activeElement.blur();
-    this.lineItemStatusElement.setAttribute("aria-hidden", false);
+    this.lineItemStatusElement?.setAttribute("aria-hidden", false);
   }
 
   disableLoading() {
@@ -254,20 +468,96 @@ function debounce(fn, wait) {
   };
 }
 
+/**
+ * Money formatting
+ * Formats an amount in cents like Liquid's money filter, using window.money
+ * from theme.liquid. shop.money_format only describes the shop currency, so
+ * when a market sells in another currency the amount is formatted with Intl
+ * in that currency instead. Pass a format to use it regardless.
+ */
+const ZERO_DECIMAL_CURRENCIES = [
+  "BIF",
+  "CLP",
+  "DJF",
+  "GNF",
+  "ISK",
+  "JPY",
+  "KMF",
+  "KRW",
+  "PYG",
+  "RWF",
+  "UGX",
+  "VND",
+  "VUV",
+  "XAF",
+  "XOF",
+  "XPF",
+];
+
+function formatMoney(cents, format) {
+  const money = window.money || {};
+  const currency = money.currency || money.shopCurrency;
+  const amount =
+    Number(typeof cents === "string" ? cents.replace(".", "") : cents) || 0;
+
+  if (!format && currency && currency !== money.shopCurrency) {
+    return new Intl.NumberFormat(money.locale, {
+      style: "currency",
+      currency,
+    }).format(amount / 100);
+  }
+
+  const moneyFormat = format || money.format || "${{amount}}";
+  // Shopify keeps subunits for these too, but they're never shown
+  const precision = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+
+  const formatWithDelimiters = (decimals, thousands = ",", decimal = ".") => {
+    const [whole, fraction] = (amount / 100).toFixed(decimals).split(".");
+    const withThousands = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+    return fraction ? `${withThousands}${decimal}${fraction}` : withThousands;
+  };
+
+  return moneyFormat.replace(/\{\{\s*(\w+)\s*\}\}/, (match, name) => {
+    switch (name) {
+      case "amount":
+        return formatWithDelimiters(precision);
+      case "amount_no_decimals":
+        return formatWithDelimiters(0);
+      case "amount_with_comma_separator":
+        return formatWithDelimiters(precision, ".", ",");
+      case "amount_no_decimals_with_comma_separator":
+        return formatWithDelimiters(0, ".", ",");
+      case "amount_with_apostrophe_separator":
+        return formatWithDelimiters(precision, "'", ".");
+      case "amount_no_decimals_with_space_separator":
+        return formatWithDelimiters(0, " ");
+      case "amount_with_space_separator":
+        return formatWithDelimiters(precision, " ", ",");
+      case "amount_with_period_and_space_separator":
+        return formatWithDelimiters(precision, " ", ".");
+      default:
+        return match;
+    }
+  });
+}
+
 // Accessibility helpers
-function trapFocus(container, elementToFocus = container) {
-  var elements = getFocusableElements(container);
-  var first = elements[0];
-  var last = elements[elements.length - 1];
+let trapFocusHandler = null;
 
+function trapFocus(container, elementToFocus = container) {
   removeTrapFocus();
 
   container.setAttribute("tabindex", "-1");
-  if (elementToFocus !== container) elementToFocus.focus();
+  elementToFocus.focus();
 
   function focustrap(event) {
     if (event.code.toUpperCase() !== "TAB") return; // If not TAB key
 
+    // Read on every Tab: drawers and menus change their contents while open
+    var elements = getFocusableElements(container);
+    var first = elements[0];
+    var last = elements[elements.length - 1];
+
     // Move focus to first element that can be tabbed if Shift isn't held
     if (event.target === last && !event.shiftKey) {
       event.preventDefault();
@@ -281,6 +571,7 @@ function trapFocus(container, elementToFocus = container) {
     }
   }
 
+  trapFocusHandler = focustrap;
   document.addEventListener("keydown", focustrap);
 
   document
@@ -298,10 +589,227 @@ function getFocusableElements(container) {
 }
 
 function removeTrapFocus(elementToFocus = null) {
-  document.removeEventListener("keydown", trapFocus);
+  document.removeEventListener("keydown", trapFocusHandler);
+  trapFocusHandler = null;
   if (elementToFocus) elementToFocus.focus();
 }
 
+/**
+ * Overlay Manager
+ * Shared by the mobile menu, cart drawer and modals. Keeps a stack of open
+ * overlays so they can be nested: the topmost one gets the focus trap, and
+ * everything outside it is made inert. The body is scroll-locked while any
+ * overlay is open, using position: fixed so iOS Safari can't scroll the page
+ * behind, and the scroll position is restored when the last one closes.
+ */
+class OverlayManager {
+  constructor() {
+    this.stack = [];
+    this.scrollY = 0;
+  }
+
+  /**
+   * @param {HTMLElement} overlay
+   * @param {Object} options - `{ focusContainer, focusElement,
+   *   keepInteractive }`; keepInteractive lists elements outside the overlay
+   *   (e.g. its toggle button) that stay usable while it's open
+   */
+  open(
+    overlay,
+    { focusContainer = overlay, focusElement, keepInteractive = [] } = {}
+  ) {
+    let entry = this.#getEntry(overlay);
+
+    // Re-opening (e.g. after a re-render) only refreshes the focus trap
+    if (!entry) {
+      if (this.stack.length === 0) this.#lockScroll();
+
+      const interactive = [overlay, ...keepInteractive];
+      // An overlay opened inside a part of the page a lower overlay made
+      // inert has to be woken up first
+      const wokenElements = this.#wake(interactive);
+      entry = {
+        overlay,
+        wokenElements,
+        inertElements: this.#makeOutsideInert(interactive),
+      };
+      this.stack.push(entry);
+    }
+
+    entry.focusContainer = focusContainer;
+    if (this.isTopmost(overlay)) {
+      trapFocus(focusContainer, focusElement || focusContainer);
+    }
+  }
+
+  close(overlay, elementToFocus = null) {
+    const entry = this.#getEntry(overlay);
+    if (!entry) return;
+
+    const wasTopmost = this.isTopmost(overlay);
+    this.stack.splice(this.stack.indexOf(entry), 1);
+    entry.inertElements.forEach((element) => {
+      element.inert = false;
+    });
+    entry.wokenElements.forEach((element) => {
+      element.inert = true;
+    });
+
+    if (this.stack.length === 0) {
+      removeTrapFocus();
+      this.#unlockScroll();
+    } else if (wasTopmost) {
+      const previous = this.stack[this.stack.length - 1];
+      trapFocus(previous.focusContainer, elementToFocus || undefined);
+      return;
+    }
+
+    if (elementToFocus) elementToFocus.focus();
+  }
+
+  isOpen(overlay) {
+    return !!this.#getEntry(overlay);
+  }
+
+  isTopmost(overlay) {
+    return this.stack[this.stack.length - 1]?.overlay === overlay;
+  }
+
+  #getEntry(overlay) {
+    return this.stack.find((entry) => entry.overlay === overlay);
+  }
+
+  // Clears inert from the elements and their ancestors, returning the ones
+  // that had it so closing the overlay can put it back
+  #wake(elements) {
+    const wokenElements = [];
+
+    elements.forEach((element) => {
+      for (let node = element; node; node = node.parentElement) {
+        if (!node.inert) continue;
+        node.inert = false;
+        wokenElements.push(node);
+      }
+    });
+
+    return wokenElements;
+  }
+
+  // Only elements this overlay changed are recorded, so closing it never
+  // wakes up an element another overlay (or the page) made inert
+  #makeOutsideInert(interactive) {
+    const inertElements = [];
+
+    const makeInert = (container) => {
+      Array.from(container.children).forEach((child) => {
+        if (interactive.includes(child)) return;
+        // Only the parts of this subtree around the interactive elements
+        if (interactive.some((element) => child.contains(element))) {
+          makeInert(child);
+          return;
+        }
+        if (child.inert) return;
+        if (["SCRIPT", "STYLE", "LINK", "TEMPLATE"].includes(child.tagName)) {
+          return;
+        }
+
+        child.inert = true;
+        inertElements.push(child);
+      });
+    };
+    makeInert(document.body);
+
+    return inertElements;
+  }
+
+  #lockScroll() {
+    this.scrollY = window.scrollY;
+    document.body.style.top = `-${this.scrollY}px`;
+    document.body.classList.add("overflow-hidden");
+  }
+
+  #unlockScroll() {
+    document.body.classList.remove("overflow-hidden");
+    document.body.style.top = "";
+    window.scrollTo({ top: this.scrollY, behavior: "instant" });
+  }
+}
+
+window.overlayManager = new OverlayManager();
+
+/**
+ * Theme Component Registry
+ * For scripts that aren't custom elements: register() a component with the
+ * selector of its root element and a factory, and the registry creates at most
+ * one instance per root, however often the script or init() runs. Instances
+ * are looked up with window.theme.components.get(name, root). In the Theme
+ * Editor, instances inside an unloaded section are torn down through their
+ * optional destroy() and the reloaded section is initialised again.
+ */
+class ComponentRegistry {
+  constructor() {
+    this.definitions = new Map();
+    this.instances = new Map();
+
+    if (window.Shopify?.designMode) {
+      document.addEventListener("shopify:section:unload", (event) => {
+        this.destroy(event.target);
+      });
+      document.addEventListener("shopify:section:load", (event) => {
+        this.init(event.target);
+      });
+    }
+  }
+
+  register(name, { selector, create }) {
+    if (this.definitions.has(name)) return;
+
+    this.definitions.set(name, { selector, create });
+    this.instances.set(name, new Map());
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.init(), {
+        once: true,
+      });
+    } else {
+      this.init();
+    }
+  }
+
+  init(scope = document) {
+    this.definitions.forEach(({ selector, create }, name) => {
+      const instances = this.instances.get(name);
+      const roots = Array.from(scope.querySelectorAll(selector));
+      if (scope !== document && scope.matches(selector)) roots.unshift(scope);
+
+      roots.forEach((root) => {
+        if (!instances.has(root)) instances.set(root, create(root));
+      });
+    });
+  }
+
+  destroy(scope = document) {
+    this.instances.forEach((instances) => {
+      instances.forEach((instance, root) => {
+        if (!scope.contains(root)) return;
+
+        instance.destroy?.();
+        instances.delete(root);
+      });
+    });
+  }
+
+  get(name, root) {
+    const instances = this.instances.get(name);
+    if (!instances) return undefined;
+
+    return root ? instances.get(root) : instances.values().next().value;
+  }
+}
+
+window.theme = window.theme || {};
+window.theme.components = new ComponentRegistry();
+
 // Page loaded
 document.addEventListener("DOMContentLoaded", function () {
   console.log("Trial Theme loaded successfully!");
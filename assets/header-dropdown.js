@@ -1,46 +1,121 @@
 /**
  * Header Dropdown Navigation Component
- * Handles dropdown menu interactions with keyboard navigation and accessibility
+ * Handles dropdown menu interactions with keyboard navigation and accessibility.
+ * Dropdowns marked [data-mega-menu] lay their items out in columns
+ * ([data-mega-menu-column]): ArrowLeft/ArrowRight move between columns and
+ * ArrowUp/ArrowDown move within the focused column.
+ *
+ * With [data-hover-intent] a mouse opens the menu after data-open-delay and
+ * closes it data-close-delay after leaving. While the pointer is travelling
+ * towards the open menu (inside the triangle between its last position and
+ * the menu's top corners) closing is postponed and siblings won't take over.
+ * Touch and pen input keep click-to-open.
+ *
+ * Listeners are added in connectedCallback and released through an
+ * AbortController on disconnect, so Theme Editor section reloads don't leak.
+ * Outside clicks are handled by one document listener shared by every
+ * connected instance.
  */
 class HeaderDropdown extends HTMLElement {
+  static instances = new Set();
+
+  static handleDocumentClick(event) {
+    HeaderDropdown.instances.forEach((dropdown) => {
+      if (dropdown.isOpen && !dropdown.contains(event.target)) {
+        dropdown.closeDropdown();
+      }
+    });
+  }
+
   constructor() {
     super();
-    this.dropdown = this.querySelector("[data-dropdown]");
-    this.trigger = this.querySelector(".nav-dropdown__trigger");
-    this.menu = this.querySelector(".nav-dropdown__menu");
-    this.menuItems = this.querySelectorAll('[role="menuitem"]');
     this.isOpen = false;
     this.currentIndex = -1;
-
-    this.#init();
+    this.pointerPositions = [];
+    this.onPointerMove = this.#handlePointerMove.bind(this);
   }
 
-  #init() {
+  connectedCallback() {
+    this.trigger = this.querySelector(".nav-dropdown__trigger");
+    this.menu = this.querySelector(".nav-dropdown__menu");
     if (!this.trigger || !this.menu) return;
 
-    this.#bindEvents();
+    this.menuItems = this.querySelectorAll('[role="menuitem"]');
+    this.columns = Array.from(
+      this.querySelectorAll("[data-mega-menu-column]")
+    ).filter((column) => column.querySelector('[role="menuitem"]'));
+    this.hoverIntent = this.dataset.hoverIntent === "true";
+    this.openDelay = Number(this.dataset.openDelay || 150);
+    this.closeDelay = Number(this.dataset.closeDelay || 300);
+
+    this.abortController = new AbortController();
+    this.#bindEvents(this.abortController.signal);
     this.#setupAccessibility();
+
+    if (HeaderDropdown.instances.size === 0) {
+      document.addEventListener("click", HeaderDropdown.handleDocumentClick);
+    }
+    HeaderDropdown.instances.add(this);
+  }
+
+  disconnectedCallback() {
+    if (!this.abortController) return;
+
+    this.#closeDropdown();
+    this.abortController.abort();
+    this.abortController = null;
+
+    HeaderDropdown.instances.delete(this);
+    if (HeaderDropdown.instances.size === 0) {
+      document.removeEventListener(
+        "click",
+        HeaderDropdown.handleDocumentClick
+      );
+    }
   }
 
-  #bindEvents() {
+  #bindEvents(signal) {
     // Click events
-    this.trigger.addEventListener("click", this.#handleTriggerClick.bind(this));
-    document.addEventListener("click", this.#handleDocumentClick.bind(this));
+    this.trigger.addEventListener(
+      "click",
+      this.#handleTriggerClick.bind(this),
+      { signal }
+    );
 
     // Keyboard events
     this.trigger.addEventListener(
       "keydown",
-      this.#handleTriggerKeydown.bind(this)
+      this.#handleTriggerKeydown.bind(this),
+      { signal }
     );
-    this.menu.addEventListener("keydown", this.#handleMenuKeydown.bind(this));
+    this.menu.addEventListener("keydown", this.#handleMenuKeydown.bind(this), {
+      signal,
+    });
 
     // Focus events for better UX
-    this.addEventListener("focusout", this.#handleFocusOut.bind(this));
+    this.addEventListener("focusout", this.#handleFocusOut.bind(this), {
+      signal,
+    });
+
+    if (this.hoverIntent) {
+      this.addEventListener(
+        "pointerenter",
+        this.#handlePointerEnter.bind(this),
+        { signal }
+      );
+      this.addEventListener(
+        "pointerleave",
+        this.#handlePointerLeave.bind(this),
+        { signal }
+      );
+    }
   }
 
   #setupAccessibility() {
-    // Generate unique IDs for ARIA relationships
-    const menuId = `dropdown-menu-${Math.random().toString(36).substr(2, 9)}`;
+    // Generate unique IDs for ARIA relationships (kept when the node is moved)
+    const menuId =
+      this.menu.id ||
+      `dropdown-menu-${Math.random().toString(36).substr(2, 9)}`;
     this.menu.id = menuId;
     this.trigger.setAttribute("aria-controls", menuId);
 
@@ -53,6 +128,12 @@ class HeaderDropdown extends HTMLElement {
     event.preventDefault();
     event.stopPropagation();
 
+    // A click on a menu hover just opened keeps it open instead of toggling
+    if (this.isOpen && this.openedByHover) {
+      this.openedByHover = false;
+      return;
+    }
+
     if (this.isOpen) {
       this.#closeDropdown();
     } else {
@@ -60,12 +141,6 @@ class HeaderDropdown extends HTMLElement {
     }
   }
 
-  #handleDocumentClick(event) {
-    if (!this.contains(event.target)) {
-      this.#closeDropdown();
-    }
-  }
-
   #handleTriggerKeydown(event) {
     switch (event.key) {
       case "Enter":
@@ -100,6 +175,16 @@ class HeaderDropdown extends HTMLElement {
         event.preventDefault();
         this.#focusPreviousMenuItem();
         break;
+      case "ArrowRight":
+        if (this.columns.length === 0) break;
+        event.preventDefault();
+        this.#focusAdjacentColumn(1);
+        break;
+      case "ArrowLeft":
+        if (this.columns.length === 0) break;
+        event.preventDefault();
+        this.#focusAdjacentColumn(-1);
+        break;
       case "Home":
         event.preventDefault();
         this.#focusFirstMenuItem();
@@ -120,6 +205,87 @@ class HeaderDropdown extends HTMLElement {
     }
   }
 
+  #handlePointerEnter(event) {
+    if (event.pointerType !== "mouse") return;
+
+    clearTimeout(this.closeTimer);
+    if (this.isOpen) return;
+
+    this.#scheduleOpen();
+  }
+
+  #handlePointerLeave(event) {
+    if (event.pointerType !== "mouse") return;
+
+    clearTimeout(this.openTimer);
+    if (this.isOpen) this.#scheduleClose();
+  }
+
+  #handlePointerMove(event) {
+    this.pointerPositions.push({ x: event.clientX, y: event.clientY });
+    if (this.pointerPositions.length > 2) this.pointerPositions.shift();
+    this.pointerMovedAt = Date.now();
+  }
+
+  #scheduleOpen() {
+    clearTimeout(this.openTimer);
+    this.openTimer = setTimeout(() => {
+      // Crossing this trigger on the way into a sibling's menu
+      const aimedAt = Array.from(HeaderDropdown.instances).find(
+        (dropdown) =>
+          dropdown !== this && dropdown.isOpen && dropdown.isPointerInSafeZone()
+      );
+      if (aimedAt) {
+        this.#scheduleOpen();
+        return;
+      }
+
+      this.#openDropdown();
+      this.openedByHover = true;
+    }, this.openDelay);
+  }
+
+  #scheduleClose() {
+    clearTimeout(this.closeTimer);
+    this.closeTimer = setTimeout(() => {
+      if (this.#isPointerInSafeZone()) {
+        this.#scheduleClose();
+        return;
+      }
+
+      this.#closeDropdown();
+    }, this.closeDelay);
+  }
+
+  // Only counts while the pointer keeps moving, so resting in the zone closes
+  #isPointerInSafeZone() {
+    if (!this.isOpen || this.pointerPositions.length < 2) return false;
+    if (Date.now() - this.pointerMovedAt > this.closeDelay) return false;
+
+    const [origin, current] = this.pointerPositions;
+    const rect = this.menu.getBoundingClientRect();
+    if (current.y >= rect.top) return false;
+
+    return this.#isPointInTriangle(
+      current,
+      origin,
+      { x: rect.left, y: rect.top },
+      { x: rect.right, y: rect.top }
+    );
+  }
+
+  #isPointInTriangle(point, a, b, c) {
+    const side = (p1, p2, p3) =>
+      (p1.x - p3.x) * (p2.y - p3.y) - (p2.x - p3.x) * (p1.y - p3.y);
+    const d1 = side(point, a, b);
+    const d2 = side(point, b, c);
+    const d3 = side(point, c, a);
+    const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+    const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+
+    return !(hasNegative && hasPositive);
+  }
+
   #handleFocusOut(event) {
     // Small delay to check if focus moved to another element within dropdown
     setTimeout(() => {
@@ -133,14 +299,19 @@ class HeaderDropdown extends HTMLElement {
     if (this.isOpen) return;
 
     // Close other open dropdowns
-    document.querySelectorAll(".nav-dropdown").forEach((dropdown) => {
+    HeaderDropdown.instances.forEach((dropdown) => {
       if (dropdown !== this && dropdown.isOpen) {
         dropdown.closeDropdown();
       }
     });
 
+    clearTimeout(this.openTimer);
+    clearTimeout(this.closeTimer);
     this.isOpen = true;
     this.currentIndex = -1;
+    if (this.hoverIntent) {
+      document.addEventListener("pointermove", this.onPointerMove);
+    }
 
     // Update ARIA states
     this.trigger.setAttribute("aria-expanded", "true");
@@ -155,10 +326,15 @@ class HeaderDropdown extends HTMLElement {
   }
 
   #closeDropdown() {
+    clearTimeout(this.openTimer);
+    clearTimeout(this.closeTimer);
     if (!this.isOpen) return;
 
     this.isOpen = false;
     this.currentIndex = -1;
+    this.openedByHover = false;
+    this.pointerPositions = [];
+    document.removeEventListener("pointermove", this.onPointerMove);
 
     // Update ARIA states
     this.trigger.setAttribute("aria-expanded", "false");
@@ -187,72 +363,67 @@ class HeaderDropdown extends HTMLElement {
   }
 
   #focusNextMenuItem() {
-    if (this.menuItems.length === 0) return;
+    const items = this.#getColumnItems();
+    if (items.length === 0) return;
 
-    this.currentIndex = (this.currentIndex + 1) % this.menuItems.length;
-    this.menuItems[this.currentIndex].focus();
+    const index = items.indexOf(document.activeElement);
+    this.#focusMenuItem(items[(index + 1) % items.length]);
   }
 
   #focusPreviousMenuItem() {
-    if (this.menuItems.length === 0) return;
+    const items = this.#getColumnItems();
+    if (items.length === 0) return;
 
-    this.currentIndex =
-      this.currentIndex <= 0
-        ? this.menuItems.length - 1
-        : this.currentIndex - 1;
-    this.menuItems[this.currentIndex].focus();
+    const index = items.indexOf(document.activeElement);
+    this.#focusMenuItem(items[index <= 0 ? items.length - 1 : index - 1]);
   }
 
-  // Public method to close dropdown (for external use)
-  closeDropdown() {
-    this.#closeDropdown();
+  // Keeps the row when moving sideways so headings line up with headings
+  #focusAdjacentColumn(direction) {
+    const current = this.#getCurrentColumn();
+    const currentItems = this.#getColumnItems();
+    const row = Math.max(currentItems.indexOf(document.activeElement), 0);
+    const columnIndex = this.columns.indexOf(current);
+    const nextColumn =
+      this.columns[
+        (columnIndex + direction + this.columns.length) % this.columns.length
+      ];
+    const nextItems = this.#getColumnItems(nextColumn);
+
+    this.#focusMenuItem(nextItems[Math.min(row, nextItems.length - 1)]);
   }
-}
 
-// Initialize functionality when DOM is ready
-document.addEventListener("DOMContentLoaded", () => {
-  // Register custom element if not already defined
-  if (!customElements.get("header-dropdown")) {
-    customElements.define("header-dropdown", HeaderDropdown);
+  #getCurrentColumn() {
+    const item = document.activeElement;
+    return (
+      this.columns.find((column) => column.contains(item)) || this.columns[0]
+    );
   }
 
-  // Initialize existing dropdowns
-  document.querySelectorAll(".nav-dropdown").forEach((dropdown) => {
-    if (!dropdown.upgraded) {
-      Object.setPrototypeOf(dropdown, HeaderDropdown.prototype);
-      HeaderDropdown.call(dropdown);
-      dropdown.upgraded = true;
-    }
-  });
+  // Outside mega menus the whole menu behaves as a single column
+  #getColumnItems(column = this.#getCurrentColumn()) {
+    if (!column) return Array.from(this.menuItems);
+    return Array.from(column.querySelectorAll('[role="menuitem"]'));
+  }
 
-  // Initialize mobile menu (now from separate file)
-  if (typeof MobileMenu !== "undefined") {
-    new MobileMenu();
+  #focusMenuItem(item) {
+    if (!item) return;
+
+    this.currentIndex = Array.prototype.indexOf.call(this.menuItems, item);
+    item.focus();
+  }
+
+  // Public method to close dropdown (for external use)
+  closeDropdown() {
+    this.#closeDropdown();
   }
-});
-
-// Handle dynamic content loading (for SPAs or AJAX)
-const observer = new MutationObserver((mutations) => {
-  mutations.forEach((mutation) => {
-    mutation.addedNodes.forEach((node) => {
-      if (node.nodeType === 1) {
-        // Element node
-        const dropdowns = node.querySelectorAll
-          ? node.querySelectorAll(".nav-dropdown")
-          : [];
-        dropdowns.forEach((dropdown) => {
-          if (!dropdown.upgraded) {
-            Object.setPrototypeOf(dropdown, HeaderDropdown.prototype);
-            HeaderDropdown.call(dropdown);
-            dropdown.upgraded = true;
-          }
-        });
-      }
-    });
-  });
-});
 
-observer.observe(document.body, {
-  childList: true,
-  subtree: true,
-});
+  // Lets a sibling hold off opening while the pointer heads into this menu
+  isPointerInSafeZone() {
+    return this.#isPointerInSafeZone();
+  }
+}
+
+if (!customElements.get("header-dropdown")) {
+  customElements.define("header-dropdown", HeaderDropdown);
+}
@@ -0,0 +1,213 @@
+/**
+ * Localization Form Component
+ * Disclosure listbox for switching country/region or language. Picking an
+ * option submits the localization form straight away; without JS the
+ * noscript select and update button are used instead.
+ */
+class LocalizationForm extends HTMLElement {
+  constructor() {
+    super();
+    this.form = this.querySelector("form");
+    this.button = this.querySelector(".localization-form__button");
+    this.panel = this.querySelector(".localization-form__panel");
+    this.list = this.querySelector('[role="listbox"]');
+    this.searchInput = this.querySelector(".localization-form__search-input");
+    this.noResults = this.querySelector(".localization-form__no-results");
+    this.input = this.querySelector(".localization-form__input");
+    this.typeAheadQuery = "";
+    this.typeAheadTimeout = null;
+    this.onDocumentClick = this.onDocumentClick.bind(this);
+
+    // The noscript select carries the same name; only submit this one
+    this.input.disabled = false;
+    this.#bindEvents();
+  }
+
+  connectedCallback() {
+    document.addEventListener("click", this.onDocumentClick);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener("click", this.onDocumentClick);
+    clearTimeout(this.typeAheadTimeout);
+  }
+
+  #bindEvents() {
+    this.button.addEventListener("click", () => {
+      this.isOpen() ? this.close() : this.open();
+    });
+    this.addEventListener("keyup", (event) => {
+      if (event.key !== "Escape" || !this.isOpen()) return;
+      this.close();
+      this.button.focus();
+    });
+    this.addEventListener("focusout", () => {
+      setTimeout(() => {
+        if (!this.contains(document.activeElement)) this.close();
+      });
+    });
+
+    this.list.addEventListener("click", (event) => {
+      const option = event.target.closest('[role="option"]');
+      if (option) this.#selectOption(option);
+    });
+    this.list.addEventListener("keydown", this.#onListKeydown.bind(this));
+
+    if (this.searchInput) {
+      this.searchInput.addEventListener("input", () => this.#filterOptions());
+      this.searchInput.addEventListener("keydown", (event) => {
+        if (event.key !== "ArrowDown") return;
+        event.preventDefault();
+        this.#focusOption(this.#getVisibleOptions()[0]);
+      });
+    }
+  }
+
+  onDocumentClick(event) {
+    if (this.isOpen() && !this.contains(event.target)) this.close();
+  }
+
+  isOpen() {
+    return this.button.getAttribute("aria-expanded") === "true";
+  }
+
+  open() {
+    this.panel.hidden = false;
+    this.button.setAttribute("aria-expanded", "true");
+
+    if (this.searchInput) {
+      this.searchInput.focus();
+    } else {
+      this.#focusOption(
+        this.#getSelectedOption() || this.#getVisibleOptions()[0]
+      );
+    }
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+
+    this.panel.hidden = true;
+    this.button.setAttribute("aria-expanded", "false");
+
+    if (this.searchInput && this.searchInput.value) {
+      this.searchInput.value = "";
+      this.#filterOptions();
+    }
+  }
+
+  #getOptions() {
+    return Array.from(this.list.querySelectorAll('[role="option"]'));
+  }
+
+  #getVisibleOptions() {
+    return this.#getOptions().filter((option) => !option.hidden);
+  }
+
+  #getSelectedOption() {
+    return this.list.querySelector('[aria-selected="true"]:not([hidden])');
+  }
+
+  #focusOption(option) {
+    if (!option) return;
+    option.focus();
+    option.scrollIntoView({ block: "nearest" });
+  }
+
+  #filterOptions() {
+    const query = this.searchInput.value.trim().toLowerCase();
+    let visibleCount = 0;
+
+    this.#getOptions().forEach((option) => {
+      const matches = !query || option.dataset.search.includes(query);
+      option.hidden = !matches;
+      if (matches) visibleCount++;
+    });
+
+    if (this.noResults) this.noResults.hidden = visibleCount > 0;
+  }
+
+  #onListKeydown(event) {
+    const options = this.#getVisibleOptions();
+    const currentIndex = options.indexOf(document.activeElement);
+
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault();
+        this.#focusOption(
+          options[Math.min(currentIndex + 1, options.length - 1)]
+        );
+        break;
+      case "ArrowUp":
+        event.preventDefault();
+        if (currentIndex <= 0 && this.searchInput) {
+          this.searchInput.focus();
+        } else {
+          this.#focusOption(options[Math.max(currentIndex - 1, 0)]);
+        }
+        break;
+      case "Home":
+        event.preventDefault();
+        this.#focusOption(options[0]);
+        break;
+      case "End":
+        event.preventDefault();
+        this.#focusOption(options[options.length - 1]);
+        break;
+      case "Enter":
+      case " ":
+        if (currentIndex < 0) return;
+        event.preventDefault();
+        this.#selectOption(options[currentIndex]);
+        break;
+      default:
+        if (
+          event.key.length === 1 &&
+          !event.ctrlKey &&
+          !event.metaKey &&
+          !event.altKey
+        ) {
+          this.#typeAhead(event.key, options, currentIndex);
+        }
+    }
+  }
+
+  // Jump to the next option whose name starts with the typed characters
+  #typeAhead(character, options, currentIndex) {
+    clearTimeout(this.typeAheadTimeout);
+    this.typeAheadQuery += character.toLowerCase();
+    this.typeAheadTimeout = setTimeout(() => {
+      this.typeAheadQuery = "";
+    }, 500);
+
+    // Repeating one letter cycles through options that start with it
+    const isRepeat = this.typeAheadQuery
+      .split("")
+      .every((char) => char === this.typeAheadQuery[0]);
+    const query = isRepeat ? this.typeAheadQuery[0] : this.typeAheadQuery;
+    const start = isRepeat ? currentIndex + 1 : Math.max(currentIndex, 0);
+    const ordered = [...options.slice(start), ...options.slice(0, start)];
+
+    this.#focusOption(
+      ordered.find((option) => option.dataset.search.startsWith(query))
+    );
+  }
+
+  #selectOption(option) {
+    this.#getOptions().forEach((item) =>
+      item.setAttribute("aria-selected", item === option ? "true" : "false")
+    );
+
+    if (option.dataset.value === this.input.value) {
+      this.close();
+      this.button.focus();
+      return;
+    }
+
+    this.input.value = option.dataset.value;
+    this.button.setAttribute("aria-busy", "true");
+    this.form.submit();
+  }
+}
+
+customElements.define("localization-form", LocalizationForm);
@@ -265,48 +265,213 @@ class MobileDropdown {
   }
 }
 
+/**
+ * Mobile Drill-down Navigation
+ * Shows each level of a nested menu in its own panel inside
+ * [data-mobile-drilldown]. A [data-drilldown-target] trigger slides its panel
+ * in and focuses the panel heading; [data-drilldown-back] or Escape returns to
+ * the parent panel and focuses the trigger again. The open panel path is kept
+ * in sessionStorage, so reopening the menu (also on the next page) shows the
+ * panel the customer left.
+ */
+class MobileDrilldown {
+  constructor(element) {
+    this.container = element;
+    this.rootPanel = this.container.querySelector("[data-drilldown-panel]");
+    this.storageKey = `mobile-drilldown-${this.container.dataset.sectionId}`;
+    // Triggers that opened each panel above the root, outermost first
+    this.trail = [];
+
+    this.#init();
+  }
+
+  #init() {
+    if (!this.rootPanel) return;
+
+    this.#bindEvents();
+    this.#restoreTrail();
+  }
+
+  #bindEvents() {
+    this.container.addEventListener("click", (event) => {
+      const trigger = event.target.closest("[data-drilldown-target]");
+      if (trigger) {
+        event.preventDefault();
+        this.open(trigger);
+      } else if (event.target.closest("[data-drilldown-back]")) {
+        this.back();
+      }
+    });
+
+    this.container.addEventListener("keydown", (event) => {
+      if (event.key !== "Escape" || this.trail.length === 0) return;
+
+      // Step back a level instead of letting the mobile menu close
+      event.stopPropagation();
+      this.back();
+    });
+  }
+
+  open(trigger, animate = true) {
+    const panel = document.getElementById(trigger.dataset.drilldownTarget);
+    if (!panel) return;
+
+    const current = this.#getCurrentPanel();
+    this.trail.push(trigger);
+    trigger.setAttribute("aria-expanded", "true");
+
+    current.classList.add("is-behind");
+    this.#showPanel(panel, current, animate);
+    this.#saveTrail();
+
+    if (animate) panel.querySelector(".mobile-drilldown__heading")?.focus();
+  }
+
+  back() {
+    const trigger = this.trail.pop();
+    if (!trigger) return;
+
+    const current = this.#getCurrentPanel(trigger);
+    const parent = trigger.closest("[data-drilldown-panel]");
+    trigger.setAttribute("aria-expanded", "false");
+
+    parent.classList.remove("is-behind");
+    this.#showPanel(parent, current, true);
+    this.#saveTrail();
+
+    trigger.focus();
+  }
+
+  #getCurrentPanel(trigger = this.trail[this.trail.length - 1]) {
+    return trigger
+      ? document.getElementById(trigger.dataset.drilldownTarget)
+      : this.rootPanel;
+  }
+
+  #showPanel(panel, previous, animate) {
+    panel.hidden = false;
+    // Commit the off-screen position so the slide-in transitions
+    panel.getBoundingClientRect();
+    panel.classList.add("is-active");
+    previous.classList.remove("is-active");
+
+    const hide = () => {
+      if (!previous.classList.contains("is-active")) previous.hidden = true;
+    };
+    if (
+      !animate ||
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    ) {
+      hide();
+      return;
+    }
+
+    const onTransitionEnd = (event) => {
+      if (event.target !== previous) return;
+      previous.removeEventListener("transitionend", onTransitionEnd);
+      hide();
+    };
+    previous.addEventListener("transitionend", onTransitionEnd);
+  }
+
+  #saveTrail() {
+    try {
+      sessionStorage.setItem(
+        this.storageKey,
+        JSON.stringify(
+          this.trail.map((trigger) => trigger.dataset.drilldownTarget)
+        )
+      );
+    } catch (error) {
+      // Storage can be unavailable (private browsing); only memory is lost
+    }
+  }
+
+  #restoreTrail() {
+    let panelIds = [];
+    try {
+      panelIds = JSON.parse(sessionStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return;
+    }
+
+    // Menus can change between pages; stop at the first panel that's gone
+    for (const panelId of panelIds) {
+      const trigger = this.#getCurrentPanel().querySelector(
+        `[data-drilldown-target="${panelId}"]`
+      );
+      if (!trigger) break;
+      this.open(trigger, false);
+    }
+  }
+}
+
 /**
  * Mobile Dropdown Manager
- * Handles initialization and coordination of all mobile dropdowns
+ * Handles initialization and coordination of the dropdowns in one mobile nav
  */
 class MobileDropdownManager {
-  constructor() {
+  constructor(container) {
+    this.container = container;
     this.dropdowns = new Map();
+    this.abortController = new AbortController();
     this.#init();
   }
 
   #init() {
     this.#initializeDropdowns();
-    this.#bindGlobalEvents();
+    this.#bindGlobalEvents(this.abortController.signal);
   }
 
   #initializeDropdowns() {
-    document.querySelectorAll("[data-mobile-dropdown]").forEach((element) => {
-      const instance = new MobileDropdown(element);
-      this.dropdowns.set(element, instance);
-      element.mobileDropdownInstance = instance;
-    });
+    this.container
+      .querySelectorAll("[data-mobile-dropdown]")
+      .forEach((element) => {
+        const instance =
+          element.mobileDropdownInstance || new MobileDropdown(element);
+        this.dropdowns.set(element, instance);
+        element.mobileDropdownInstance = instance;
+      });
+
+    this.container
+      .querySelectorAll("[data-mobile-drilldown]")
+      .forEach((element) => {
+        if (element.mobileDrilldownInstance) return;
+        element.mobileDrilldownInstance = new MobileDrilldown(element);
+      });
   }
 
-  #bindGlobalEvents() {
+  #bindGlobalEvents(signal) {
     // Close dropdowns when mobile menu closes
-    document.addEventListener("mobile-menu:close", () => {
-      MobileDropdown.closeAll();
-    });
+    document.addEventListener(
+      "mobile-menu:close",
+      () => {
+        MobileDropdown.closeAll();
+      },
+      { signal }
+    );
 
     // Handle orientation change
-    window.addEventListener("orientationchange", () => {
-      setTimeout(() => {
-        MobileDropdown.closeAll();
-      }, 100);
-    });
+    window.addEventListener(
+      "orientationchange",
+      () => {
+        setTimeout(() => {
+          MobileDropdown.closeAll();
+        }, 100);
+      },
+      { signal }
+    );
 
     // Close dropdowns on window resize if screen becomes large
-    window.addEventListener("resize", () => {
-      if (window.innerWidth >= 768) {
-        MobileDropdown.closeAll();
-      }
-    });
+    window.addEventListener(
+      "resize",
+      () => {
+        if (window.innerWidth >= 768) {
+          MobileDropdown.closeAll();
+        }
+      },
+      { signal }
+    );
   }
 
   // Public method to reinitialize dropdowns (useful for dynamic content)
@@ -314,22 +479,21 @@ class MobileDropdownManager {
     this.dropdowns.clear();
     this.#initializeDropdowns();
   }
+
+  // Called by the component registry when the header section is unloaded
+  destroy() {
+    this.abortController.abort();
+    this.dropdowns.clear();
+  }
 }
 
-// Initialize when DOM is ready
-document.addEventListener("DOMContentLoaded", () => {
-  new MobileDropdownManager();
+// One manager per mobile navigation, however often this script runs
+window.theme.components.register("mobile-dropdowns", {
+  selector: ".mobile-menu-nav",
+  create: (element) => new MobileDropdownManager(element),
 });
 
-// Ensure initialization even if script loads after DOMContentLoaded
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", () => {
-    new MobileDropdownManager();
-  });
-} else {
-  new MobileDropdownManager();
-}
-
 // Export for potential use in other modules
 window.MobileDropdown = MobileDropdown;
+window.MobileDrilldown = MobileDrilldown;
 window.MobileDropdownManager = MobileDropdownManager;
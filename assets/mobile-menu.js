@@ -1,18 +1,24 @@
 /**
  * Professional Mobile Menu Handler
- * Handles slide-in mobile navigation modal with smooth animations
+ * Handles slide-in mobile navigation modal with smooth animations.
+ * The .is-open class drives the enter/exit transitions; .hidden is only added
+ * once the exit transition has finished. On touch the panel follows a
+ * rightward swipe and closes when released far or fast enough.
  */
 class MobileMenu {
-  constructor() {
+  constructor(mobileMenu) {
     this.menuButton = document.getElementById("mobile-menu-button");
-    this.mobileMenu = document.getElementById("mobile-menu");
+    this.mobileMenu = mobileMenu;
     this.menuIcon = this.menuButton?.querySelector(".mobile-menu-button__icon");
     this.closeIcon = this.menuButton?.querySelector(
       ".mobile-menu-button__close"
     );
     this.modalCloseBtn = this.mobileMenu?.querySelector(".mobile-menu-close");
     this.backdrop = this.mobileMenu?.querySelector(".mobile-menu-backdrop");
+    this.panel = this.mobileMenu?.querySelector(".mobile-menu-panel");
     this.isOpen = false;
+    this.swipe = null;
+    this.abortController = new AbortController();
 
     this.#init();
   }
@@ -20,7 +26,9 @@ class MobileMenu {
   #init() {
     if (!this.menuButton || !this.mobileMenu) return;
 
-    this.#bindEvents();
+    const { signal } = this.abortController;
+    this.#bindEvents(signal);
+    if (this.panel) this.#bindSwipeEvents(signal);
     this.#setupInitialState();
   }
 
@@ -31,41 +39,148 @@ class MobileMenu {
     this.menuButton.setAttribute("aria-expanded", "false");
   }
 
-  #bindEvents() {
+  #bindEvents(signal) {
     // Main menu button toggle
     this.menuButton.addEventListener(
       "click",
-      this.#toggleMobileMenu.bind(this)
+      this.#toggleMobileMenu.bind(this),
+      { signal }
     );
 
     // Modal close button
     if (this.modalCloseBtn) {
       this.modalCloseBtn.addEventListener(
         "click",
-        this.#closeMobileMenu.bind(this)
+        this.#closeMobileMenu.bind(this),
+        { signal }
       );
     }
 
     // Backdrop click to close
     if (this.backdrop) {
-      this.backdrop.addEventListener("click", this.#closeMobileMenu.bind(this));
+      this.backdrop.addEventListener(
+        "click",
+        this.#closeMobileMenu.bind(this),
+        { signal }
+      );
     }
 
     // Close mobile menu on escape key
-    document.addEventListener("keydown", (event) => {
-      if (event.key === "Escape" && this.isOpen) {
-        this.#closeMobileMenu();
-      }
-    });
+    document.addEventListener(
+      "keydown",
+      (event) => {
+        // Overlays opened on top (e.g. the cart drawer) handle their own Escape
+        if (
+          event.key === "Escape" &&
+          this.isOpen &&
+          window.overlayManager.isTopmost(this.mobileMenu)
+        ) {
+          this.#closeMobileMenu();
+        }
+      },
+      { signal }
+    );
 
     // Handle window resize - close menu if screen becomes large
-    window.addEventListener("resize", () => {
-      if (window.innerWidth >= 768 && this.isOpen) {
-        this.#closeMobileMenu();
-      }
+    window.addEventListener(
+      "resize",
+      () => {
+        if (window.innerWidth >= 768 && this.isOpen) {
+          this.#closeMobileMenu();
+        }
+      },
+      { signal }
+    );
+  }
+
+  #bindSwipeEvents(signal) {
+    this.panel.addEventListener(
+      "pointerdown",
+      (event) => {
+        if (event.pointerType === "mouse" || !this.isOpen) return;
+
+        this.swipe = {
+          pointerId: event.pointerId,
+          startX: event.clientX,
+          startY: event.clientY,
+          distance: 0,
+          isDragging: false,
+          samples: [{ x: event.clientX, time: event.timeStamp }],
+        };
+      },
+      { signal }
+    );
+
+    this.panel.addEventListener(
+      "pointermove",
+      (event) => {
+        const swipe = this.swipe;
+        if (!swipe || event.pointerId !== swipe.pointerId) return;
+
+        const deltaX = event.clientX - swipe.startX;
+        const deltaY = event.clientY - swipe.startY;
+
+        if (!swipe.isDragging) {
+          if (Math.abs(deltaX) < 6 && Math.abs(deltaY) < 6) return;
+
+          // Vertical movement scrolls the menu; leftward has nowhere to go
+          if (Math.abs(deltaY) > Math.abs(deltaX) || deltaX < 0) {
+            this.swipe = null;
+            return;
+          }
+
+          swipe.isDragging = true;
+          this.panel.setPointerCapture(event.pointerId);
+          this.mobileMenu.classList.add("is-dragging");
+        }
+
+        swipe.distance = Math.max(deltaX, 0);
+        swipe.samples.push({ x: event.clientX, time: event.timeStamp });
+        swipe.samples = swipe.samples.filter(
+          (sample) => event.timeStamp - sample.time <= 100
+        );
+
+        this.panel.style.transform = `translateX(${swipe.distance}px)`;
+        if (this.backdrop) {
+          this.backdrop.style.opacity =
+            1 - swipe.distance / this.panel.offsetWidth;
+        }
+      },
+      { signal }
+    );
+
+    this.panel.addEventListener("pointerup", this.#endSwipe.bind(this), {
+      signal,
+    });
+    this.panel.addEventListener("pointercancel", this.#endSwipe.bind(this), {
+      signal,
     });
   }
 
+  #endSwipe(event) {
+    const swipe = this.swipe;
+    if (!swipe || event.pointerId !== swipe.pointerId) return;
+
+    this.swipe = null;
+    if (!swipe.isDragging) return;
+
+    // Clearing the inline styles lets the panel transition from where it is
+    this.mobileMenu.classList.remove("is-dragging");
+    this.panel.style.transform = "";
+    if (this.backdrop) this.backdrop.style.opacity = "";
+
+    const [first] = swipe.samples;
+    const elapsed = event.timeStamp - first.time;
+    const velocity = elapsed > 0 ? (event.clientX - first.x) / elapsed : 0;
+
+    if (
+      event.type === "pointerup" &&
+      (swipe.distance > this.panel.offsetWidth / 3 || velocity > 0.5)
+    ) {
+      this.#closeMobileMenu();
+    }
+  }
+
   #toggleMobileMenu() {
     if (this.isOpen) {
       this.#closeMobileMenu();
@@ -77,8 +192,10 @@ class MobileMenu {
   #openMobileMenu() {
     this.isOpen = true;
 
-    // Show modal
+    // Show modal, committing the closed position so the panel slides in
     this.mobileMenu.classList.remove("hidden");
+    this.mobileMenu.getBoundingClientRect();
+    this.mobileMenu.classList.add("is-open");
     this.mobileMenu.setAttribute("aria-hidden", "false");
     this.menuButton.setAttribute("aria-expanded", "true");
 
@@ -88,22 +205,27 @@ class MobileMenu {
       this.closeIcon.classList.remove("hidden");
     }
 
-    // Prevent body scroll when modal is open
-    document.body.style.overflow = "hidden";
-
-    // Focus management - focus on close button for accessibility
-    setTimeout(() => {
-      if (this.modalCloseBtn) {
-        this.modalCloseBtn.focus();
-      }
-    }, 300);
+    // Scroll lock, inert page and focus trap, starting on the close button
+    window.overlayManager.open(this.mobileMenu, {
+      focusContainer:
+        this.mobileMenu.querySelector(".mobile-menu-panel") || this.mobileMenu,
+      focusElement: this.modalCloseBtn,
+      // The button doubles as the close toggle
+      keepInteractive: [this.menuButton],
+    });
   }
 
   #closeMobileMenu() {
+    if (!this.isOpen) return;
+
     this.isOpen = false;
 
     // Hide modal with animation
-    this.mobileMenu.classList.add("hidden");
+    this.mobileMenu.classList.remove("is-open");
+    this.#afterTransition(() => {
+      // Reopened before the exit transition finished
+      if (!this.isOpen) this.mobileMenu.classList.add("hidden");
+    });
     this.mobileMenu.setAttribute("aria-hidden", "true");
     this.menuButton.setAttribute("aria-expanded", "false");
 
@@ -113,8 +235,8 @@ class MobileMenu {
       this.closeIcon.classList.add("hidden");
     }
 
-    // Restore body scroll
-    document.body.style.overflow = "";
+    // Restore body scroll and return focus to menu button
+    window.overlayManager.close(this.mobileMenu, this.menuButton);
 
     // Close all mobile dropdowns using the new enhanced dropdown system
     if (window.MobileDropdown) {
@@ -123,22 +245,39 @@ class MobileMenu {
 
     // Dispatch event for other components
     document.dispatchEvent(new CustomEvent("mobile-menu:close"));
+  }
 
-    // Return focus to menu button
-    this.menuButton.focus();
+  // Called by the component registry when the header section is unloaded
+  destroy() {
+    this.abortController.abort();
+    if (this.isOpen) window.overlayManager.close(this.mobileMenu);
   }
-}
 
-// Initialize mobile menu when DOM is ready
-document.addEventListener("DOMContentLoaded", () => {
-  new MobileMenu();
-});
+  #afterTransition(callback) {
+    if (
+      !this.panel ||
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    ) {
+      callback();
+      return;
+    }
 
-// Ensure initialization even if script loads after DOMContentLoaded
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", () => {
-    new MobileMenu();
-  });
-} else {
-  new MobileMenu();
+    const done = (event) => {
+      if (event && event.target !== this.panel) return;
+
+      this.panel.removeEventListener("transitionend", done);
+      clearTimeout(timeout);
+      callback();
+    };
+
+    this.panel.addEventListener("transitionend", done);
+    // transitionend never fires while the menu is display: none (desktop)
+    const timeout = setTimeout(done, 400);
+  }
 }
+
+// One instance per menu, however often this script runs
+window.theme.components.register("mobile-menu", {
+  selector: "#mobile-menu",
+  create: (element) => new MobileMenu(element),
+});
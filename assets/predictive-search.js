@@ -0,0 +1,271 @@
+/**
+ * Predictive Search Component
+ * Combobox that fetches grouped product/collection/page/article suggestions
+ * from the predictive search route and renders them as a keyboard-navigable
+ * listbox. Falls back to the regular search form without JS.
+ */
+class PredictiveSearch extends HTMLElement {
+  constructor() {
+    super();
+    this.cachedResults = {};
+    this.input = this.querySelector('input[type="search"]');
+    this.predictiveSearchResults = this.querySelector(
+      "[data-predictive-search]"
+    );
+    this.statusElement = this.querySelector(".predictive-search-status");
+    this.listboxId = this.input.getAttribute("aria-controls");
+    this.isOpen = false;
+    this.abortController = null;
+
+    this.#bindEvents();
+  }
+
+  #bindEvents() {
+    this.input.form.addEventListener("submit", this.#onFormSubmit.bind(this));
+    this.input.addEventListener(
+      "input",
+      debounce(() => {
+        this.#onChange();
+      }, 300)
+    );
+    this.input.addEventListener("focus", this.#onFocus.bind(this));
+    this.addEventListener("focusout", this.#onFocusOut.bind(this));
+    this.addEventListener("keydown", this.#onKeydown.bind(this));
+
+    // Options are not focusable, so clicks still go through the link/button
+    this.predictiveSearchResults.addEventListener("mousedown", (event) => {
+      if (event.target.closest('[role="option"]')) event.preventDefault();
+    });
+  }
+
+  getQuery() {
+    return this.input.value.trim();
+  }
+
+  #onChange() {
+    const searchTerm = this.getQuery();
+
+    if (!searchTerm.length) {
+      this.close(true);
+      return;
+    }
+
+    this.#getSearchResults(searchTerm);
+  }
+
+  #onFormSubmit(event) {
+    if (!this.getQuery().length) event.preventDefault();
+  }
+
+  #onFocus() {
+    const searchTerm = this.getQuery();
+    if (!searchTerm.length) return;
+
+    const queryKey = this.#getQueryKey(searchTerm);
+    if (this.cachedResults[queryKey]) {
+      this.#abortPendingRequest();
+      this.#renderSearchResults(this.cachedResults[queryKey]);
+    } else {
+      this.#getSearchResults(searchTerm);
+    }
+  }
+
+  #onFocusOut() {
+    setTimeout(() => {
+      if (!this.contains(document.activeElement)) this.close();
+    });
+  }
+
+  #onKeydown(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        if (!this.isOpen) return;
+        event.preventDefault();
+        this.#switchOption("down");
+        break;
+      case "ArrowUp":
+        if (!this.isOpen) return;
+        event.preventDefault();
+        this.#switchOption("up");
+        break;
+      case "Enter":
+        this.#selectOption(event);
+        break;
+      case "Escape":
+        if (!this.isOpen) return;
+        event.preventDefault();
+        this.close();
+        this.input.focus();
+        break;
+    }
+  }
+
+  #getOptions() {
+    return Array.from(
+      this.predictiveSearchResults.querySelectorAll('[role="option"]')
+    );
+  }
+
+  #switchOption(direction) {
+    const options = this.#getOptions();
+    if (!options.length) return;
+
+    const selectedIndex = options.findIndex(
+      (option) => option.getAttribute("aria-selected") === "true"
+    );
+    let nextIndex;
+
+    if (direction === "down") {
+      nextIndex = selectedIndex + 1 >= options.length ? 0 : selectedIndex + 1;
+    } else {
+      nextIndex = selectedIndex <= 0 ? options.length - 1 : selectedIndex - 1;
+    }
+
+    if (selectedIndex >= 0) {
+      options[selectedIndex].setAttribute("aria-selected", "false");
+    }
+
+    const nextOption = options[nextIndex];
+    nextOption.setAttribute("aria-selected", "true");
+    nextOption.scrollIntoView({ block: "nearest" });
+    this.input.setAttribute("aria-activedescendant", nextOption.id);
+  }
+
+  #selectOption(event) {
+    const selectedOption = this.predictiveSearchResults.querySelector(
+      '[aria-selected="true"] a, [aria-selected="true"] button'
+    );
+
+    if (!this.isOpen || !selectedOption) return;
+
+    event.preventDefault();
+    selectedOption.click();
+  }
+
+  #getQueryKey(searchTerm) {
+    return searchTerm.replace(/\s+/g, "-").toLowerCase();
+  }
+
+  async #getSearchResults(searchTerm) {
+    const queryKey = this.#getQueryKey(searchTerm);
+    this.#setLiveRegionLoadingState();
+
+    // Only the latest keystroke's request should win, cached or not
+    this.#abortPendingRequest();
+
+    if (this.cachedResults[queryKey]) {
+      this.#renderSearchResults(this.cachedResults[queryKey]);
+      return;
+    }
+
+    this.abortController = new AbortController();
+
+    const params = new URLSearchParams({
+      q: searchTerm,
+      "resources[type]": "product,collection,page,article",
+      "resources[limit]": "4",
+      section_id: "predictive-search",
+    });
+
+    try {
+      const response = await fetch(
+        `${window.routes.predictive_search_url}?${params.toString()}`,
+        { signal: this.abortController.signal }
+      );
+
+      if (!response.ok) throw new Error(response.status);
+
+      const text = await response.text();
+      const resultsMarkup = new DOMParser()
+        .parseFromString(text, "text/html")
+        .querySelector("#shopify-section-predictive-search").innerHTML;
+
+      this.cachedResults[queryKey] = resultsMarkup;
+      this.#renderSearchResults(resultsMarkup);
+    } catch (error) {
+      if (error.name === "AbortError") return;
+
+      console.error("Predictive search failed:", error);
+      this.close();
+    }
+  }
+
+  #abortPendingRequest() {
+    if (this.abortController) this.abortController.abort();
+    this.abortController = null;
+  }
+
+  #setLiveRegionLoadingState() {
+    if (!this.statusElement) return;
+
+    this.statusElement.textContent = this.getAttribute("data-loading-text");
+    this.#setLiveRegionText();
+  }
+
+  #setLiveRegionText(statusText) {
+    if (!this.statusElement) return;
+
+    this.statusElement.setAttribute("aria-hidden", "false");
+    if (statusText) this.statusElement.textContent = statusText;
+
+    setTimeout(() => {
+      this.statusElement.setAttribute("aria-hidden", "true");
+    }, 1000);
+  }
+
+  #renderSearchResults(resultsMarkup) {
+    this.predictiveSearchResults.innerHTML = resultsMarkup;
+    this.#namespaceIds();
+
+    const resultsCount = this.predictiveSearchResults.querySelector(
+      ".predictive-search__results-count"
+    );
+    this.#setLiveRegionText(resultsCount?.textContent.trim());
+    this.open();
+  }
+
+  // Header and search page can both render an instance; keep ids unique
+  #namespaceIds() {
+    const listbox = this.predictiveSearchResults.querySelector(
+      '[role="listbox"]'
+    );
+    if (!listbox || !this.listboxId) return;
+
+    listbox.id = this.listboxId;
+    this.predictiveSearchResults
+      .querySelectorAll("[id]:not([role='listbox'])")
+      .forEach((element) => {
+        const previousId = element.id;
+        element.id = `${this.listboxId}-${previousId}`;
+        this.predictiveSearchResults
+          .querySelectorAll(`[aria-labelledby="${previousId}"]`)
+          .forEach((labelled) =>
+            labelled.setAttribute("aria-labelledby", element.id)
+          );
+      });
+  }
+
+  open() {
+    this.setAttribute("open", true);
+    this.input.setAttribute("aria-expanded", true);
+    this.isOpen = true;
+  }
+
+  close(clearSearchTerm = false) {
+    // A late response would otherwise reopen the listbox
+    this.#abortPendingRequest();
+    if (clearSearchTerm) this.input.value = "";
+
+    const selected = this.predictiveSearchResults.querySelector(
+      '[aria-selected="true"]'
+    );
+    if (selected) selected.setAttribute("aria-selected", "false");
+
+    this.input.removeAttribute("aria-activedescendant");
+    this.removeAttribute("open");
+    this.input.setAttribute("aria-expanded", false);
+    this.isOpen = false;
+  }
+}
+
+customElements.define("predictive-search", PredictiveSearch);
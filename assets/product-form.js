@@ -0,0 +1,268 @@
+/**
+ * Product Form Components
+ * <variant-selects> resolves the selected options to a variant and keeps the
+ * URL, price, media and buy button in sync. <product-form> adds the chosen
+ * variant to the cart over AJAX and renders errors inline.
+ */
+class VariantSelects extends HTMLElement {
+  constructor() {
+    super();
+    this.addEventListener("change", this.onVariantChange.bind(this));
+  }
+
+  onVariantChange() {
+    this.updateOptions();
+    this.updateMasterId();
+    this.toggleAddButton(true);
+    this.removeErrorMessage();
+
+    if (!this.currentVariant) {
+      this.setUnavailable();
+    } else {
+      this.updateMedia();
+      this.updateURL();
+      this.updateVariantInput();
+      this.renderProductInfo();
+    }
+
+    this.dispatchEvent(
+      new CustomEvent("variant:change", {
+        bubbles: true,
+        detail: { variant: this.currentVariant },
+      })
+    );
+  }
+
+  updateOptions() {
+    this.options = Array.from(
+      this.querySelectorAll("select"),
+      (select) => select.value
+    );
+  }
+
+  updateMasterId() {
+    this.currentVariant = this.getVariantData().find((variant) =>
+      variant.options.every((option, index) => this.options[index] === option)
+    );
+  }
+
+  updateMedia() {
+    if (!this.currentVariant || !this.currentVariant.featured_media) return;
+
+    const gallery = document.getElementById(
+      `MediaGallery-${this.dataset.section}`
+    );
+    if (!gallery) return;
+
+    const newMedia = gallery.querySelector(
+      `[data-media-id="${this.dataset.section}-${this.currentVariant.featured_media.id}"]`
+    );
+    if (!newMedia) return;
+
+    gallery
+      .querySelectorAll(".product-media-item.is-active")
+      .forEach((item) => item.classList.remove("is-active"));
+    newMedia.classList.add("is-active");
+    gallery.prepend(newMedia);
+  }
+
+  updateURL() {
+    if (!this.currentVariant || this.dataset.updateUrl === "false") return;
+
+    window.history.replaceState(
+      {},
+      "",
+      `${this.dataset.url}?variant=${this.currentVariant.id}`
+    );
+  }
+
+  updateVariantInput() {
+    const productForm = this.getProductForm();
+    if (!productForm) return;
+
+    const input = productForm.querySelector('input[name="id"]');
+    input.value = this.currentVariant.id;
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  removeErrorMessage() {
+    const productForm = this.getProductForm()?.closest("product-form");
+    if (productForm) productForm.handleErrorMessage();
+  }
+
+  // Updates the price rendered by snippets/product-price.liquid straight from
+  // the variant JSON, so changing options needs no request
+  renderProductInfo() {
+    const variant = this.currentVariant;
+    const price = document.getElementById(`price-${this.dataset.section}`);
+    const wrapper = price?.querySelector("[data-price-wrapper]");
+
+    if (wrapper) {
+      const onSale = variant.compare_at_price > variant.price;
+      wrapper.classList.toggle("price--on-sale", onSale);
+      wrapper.classList.toggle("price--sold-out", !variant.available);
+
+      const priceElement = wrapper.querySelector("[data-price]");
+      if (priceElement) priceElement.textContent = formatMoney(variant.price);
+
+      const compareElement = wrapper.querySelector("[data-compare-price]");
+      if (compareElement) {
+        compareElement.hidden = !onSale;
+        compareElement.textContent = onSale
+          ? formatMoney(variant.compare_at_price)
+          : "";
+      }
+
+      this.renderUnitPrice(wrapper, variant);
+      this.renderBadges(wrapper, variant, onSale);
+      price.classList.remove("visibility-hidden");
+    }
+
+    this.toggleAddButton(!variant.available, window.variantStrings.soldOut);
+  }
+
+  renderUnitPrice(wrapper, variant) {
+    const unitWrapper = wrapper.querySelector("[data-unit-price-wrapper]");
+    if (!unitWrapper) return;
+
+    const measurement = variant.unit_price_measurement;
+    unitWrapper.hidden = !measurement;
+    if (!measurement) return;
+
+    const referenceValue =
+      measurement.reference_value !== 1 ? measurement.reference_value : "";
+    unitWrapper.querySelector("[data-unit-price]").textContent = formatMoney(
+      variant.unit_price
+    );
+    unitWrapper.querySelector(
+      "[data-unit-measure]"
+    ).textContent = `/${referenceValue}${measurement.reference_unit}`;
+  }
+
+  renderBadges(wrapper, variant, onSale) {
+    const soldOutBadge = wrapper.querySelector("[data-sold-out-badge]");
+    const saleBadge = wrapper.querySelector("[data-sale-badge]");
+
+    if (soldOutBadge) soldOutBadge.hidden = variant.available;
+    if (saleBadge) {
+      saleBadge.hidden = !variant.available || !onSale;
+      saleBadge.querySelector("[data-discount]").textContent = onSale
+        ? Math.round(
+            ((variant.compare_at_price - variant.price) * 100) /
+              variant.compare_at_price
+          )
+        : 0;
+    }
+  }
+
+  toggleAddButton(disable = true, text) {
+    const addButton = this.getProductForm()?.querySelector('[name="add"]');
+    if (!addButton) return;
+
+    const addButtonText = addButton.querySelector("span");
+
+    if (disable) {
+      addButton.setAttribute("disabled", "disabled");
+      if (text) addButtonText.textContent = text;
+    } else {
+      addButton.removeAttribute("disabled");
+      addButtonText.textContent = window.variantStrings.addToCart;
+    }
+  }
+
+  setUnavailable() {
+    const addButton = this.getProductForm()?.querySelector('[name="add"]');
+    const price = document.getElementById(`price-${this.dataset.section}`);
+
+    if (addButton) {
+      addButton.querySelector("span").textContent =
+        window.variantStrings.unavailable;
+    }
+    if (price) price.classList.add("visibility-hidden");
+  }
+
+  getProductForm() {
+    return document.getElementById(`product-form-${this.dataset.section}`);
+  }
+
+  getVariantData() {
+    this.variantData =
+      this.variantData ||
+      JSON.parse(this.querySelector('[type="application/json"]').textContent);
+    return this.variantData;
+  }
+}
+
+customElements.define("variant-selects", VariantSelects);
+
+class ProductForm extends HTMLElement {
+  constructor() {
+    super();
+    this.form = this.querySelector("form");
+    this.form.querySelector("[name=id]").disabled = false;
+    this.form.addEventListener("submit", this.onSubmitHandler.bind(this));
+    this.submitButton = this.querySelector('[type="submit"]');
+    this.errorMessageWrapper = this.querySelector(
+      ".product-form__error-message-wrapper"
+    );
+  }
+
+  onSubmitHandler(event) {
+    event.preventDefault();
+    if (this.submitButton.getAttribute("aria-disabled") === "true") return;
+
+    this.handleErrorMessage();
+    this.setLoadingState(true);
+
+    const formData = new FormData(this.form);
+
+    window.cartStore
+      .add(formData)
+      .then((result) => {
+        this.dispatchEvent(
+          new CustomEvent("product:added-to-cart", {
+            detail: { product: result.items[0], cart: result.cart },
+            bubbles: true,
+          })
+        );
+
+        // Without a drawer to show the result, go to the cart page
+        if (!document.querySelector("cart-drawer")) {
+          window.location = window.routes.cart_url;
+        }
+      })
+      .catch((error) => {
+        this.handleErrorMessage(error.message || window.cartStrings.error);
+      })
+      .finally(() => {
+        this.setLoadingState(false);
+      });
+  }
+
+  setLoadingState(isLoading) {
+    const spinner = this.querySelector(".loading-overlay__spinner");
+
+    if (isLoading) {
+      this.submitButton.setAttribute("aria-disabled", true);
+      this.submitButton.setAttribute("aria-busy", "true");
+      if (spinner) spinner.classList.remove("hidden");
+    } else {
+      this.submitButton.removeAttribute("aria-disabled");
+      this.submitButton.removeAttribute("aria-busy");
+      if (spinner) spinner.classList.add("hidden");
+    }
+  }
+
+  handleErrorMessage(errorMessage = false) {
+    if (!this.errorMessageWrapper) return;
+
+    this.errorMessageWrapper.toggleAttribute("hidden", !errorMessage);
+    if (errorMessage) {
+      this.errorMessageWrapper.querySelector(
+        ".product-form__error-message"
+      ).textContent = errorMessage;
+    }
+  }
+}
+
+customElements.define("product-form", ProductForm);
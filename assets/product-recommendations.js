@@ -0,0 +1,129 @@
+/**
+ * Product Recommendations Component
+ * Loads recommendation cards from /recommendations/products through the
+ * section rendering API. Extends the collection grid so the cards keep its
+ * quick add and quick view flow. With data-follow-cart (complementary intent)
+ * the recommendations follow the last product added to the cart; products
+ * already in the cart are never shown.
+ */
+import CollectionProductsGrid from "collection-products-grid";
+
+class ProductRecommendations extends CollectionProductsGrid {
+  connectedCallback() {
+    this.eventsController = new AbortController();
+    const { signal } = this.eventsController;
+
+    if (this.hasAttribute("data-follow-cart")) {
+      document.addEventListener(
+        "cart:added",
+        (event) => this.onCartAdded(event),
+        { signal }
+      );
+      document.addEventListener(
+        "cart:updated",
+        (event) => this.onCartUpdated(event),
+        { signal }
+      );
+    }
+
+    this.load();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.eventsController.abort();
+    if (this.loadController) this.loadController.abort();
+  }
+
+  // Recommendations are a single set of cards, never paginated
+  setupPagination() {}
+
+  onCartAdded(event) {
+    const items = event.detail.items || [];
+    const lastAdded = items[items.length - 1];
+    if (!lastAdded) return;
+
+    const productId = String(lastAdded.product_id);
+    if (productId === this.dataset.productId) return;
+
+    this.dataset.productId = productId;
+    this.load();
+  }
+
+  // Fires before cart:added, so the anchor only moves once it leaves the cart
+  onCartUpdated(event) {
+    const cart = event.detail?.cart || window.cartStore.state;
+    if (!cart) return;
+
+    const anchorInCart = cart.items.some(
+      (item) => String(item.product_id) === this.dataset.productId
+    );
+    if (anchorInCart) {
+      this.filterCards(cart);
+      return;
+    }
+
+    this.dataset.productId = cart.items.length ? cart.items[0].product_id : "";
+    this.load();
+  }
+
+  async load() {
+    if (this.loadController) this.loadController.abort();
+
+    if (!this.dataset.productId) {
+      this.render("");
+      return;
+    }
+
+    this.loadController = new AbortController();
+
+    // Ask for the maximum so cards hidden for being in the cart can be replaced
+    const url = new URL(this.dataset.url, window.location.origin);
+    url.searchParams.set("product_id", this.dataset.productId);
+    url.searchParams.set("intent", this.dataset.intent);
+    url.searchParams.set("limit", 10);
+    url.searchParams.set("section_id", this.dataset.sectionId);
+
+    try {
+      const response = await fetch(url.toString(), {
+        signal: this.loadController.signal,
+      });
+      if (!response.ok) throw new Error(response.status);
+
+      const html = new DOMParser().parseFromString(
+        await response.text(),
+        "text/html"
+      );
+      const recommendations = html.querySelector("product-recommendations");
+      this.render(recommendations ? recommendations.innerHTML : "");
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      console.error("Product recommendations failed:", error);
+    }
+  }
+
+  render(html) {
+    this.innerHTML = html;
+    this.filterCards(window.cartStore.state);
+  }
+
+  filterCards(cart) {
+    const inCart = new Set(
+      (cart ? cart.items : []).map((item) => String(item.product_id))
+    );
+    const limit = Number(this.dataset.limit);
+    let shown = 0;
+
+    this.querySelectorAll(".product-card").forEach((card) => {
+      const show = shown < limit && !inCart.has(card.dataset.productId);
+      card.hidden = !show;
+      if (show) shown += 1;
+    });
+
+    this.hidden = shown === 0;
+  }
+}
+
+if (!customElements.get("product-recommendations")) {
+  customElements.define("product-recommendations", ProductRecommendations);
+}
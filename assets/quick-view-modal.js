@@ -0,0 +1,154 @@
+/**
+ * Quick View Modal Component
+ * Renders the product section for a grid card inside a dialog so multi-variant
+ * products can be configured and added without leaving the collection. The
+ * <variant-selects> and <product-form> elements inside it come from
+ * product-form.js, so adding to cart follows the product page flow.
+ */
+class QuickViewModal extends HTMLElement {
+  // Attributes holding or referencing ids, plus the data-section hooks
+  // product-form.js builds its ids from
+  static idAttributes = [
+    "id",
+    "for",
+    "form",
+    "aria-controls",
+    "aria-describedby",
+    "aria-labelledby",
+    "aria-owns",
+    "data-section",
+    "data-media-id",
+  ];
+
+  constructor() {
+    super();
+    this.dialog = this.querySelector('[role="dialog"]');
+    this.content = this.querySelector(".quick-view-modal__content");
+    this.detailsLink = this.querySelector("[data-quick-view-details]");
+    this.defaultLabel = this.dialog.getAttribute("aria-label");
+    this.onAddedToCart = this.onAddedToCart.bind(this);
+
+    this.addEventListener("keyup", (event) => {
+      if (event.code === "Escape") this.hide();
+    });
+    this.addEventListener("click", (event) => {
+      if (event.target.closest("[data-quick-view-close]")) this.hide();
+    });
+  }
+
+  connectedCallback() {
+    this.addEventListener("product:added-to-cart", this.onAddedToCart);
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener("product:added-to-cart", this.onAddedToCart);
+    if (this.abortController) this.abortController.abort();
+  }
+
+  // The cart drawer (or cart page redirect) takes over from here
+  onAddedToCart() {
+    this.hide();
+  }
+
+  async show(opener) {
+    const productUrl = opener.getAttribute("href");
+    this.openedBy = opener;
+
+    if (this.abortController) this.abortController.abort();
+    this.abortController = new AbortController();
+
+    opener.setAttribute("aria-busy", "true");
+
+    try {
+      const url = new URL(productUrl, window.location.origin);
+      url.searchParams.set("section_id", "product-template");
+
+      const response = await fetch(url.toString(), {
+        signal: this.abortController.signal,
+      });
+      if (!response.ok) throw new Error(response.status);
+
+      const html = new DOMParser().parseFromString(
+        await response.text(),
+        "text/html"
+      );
+      const productElement = html.querySelector(".product-page");
+      if (!productElement) throw new Error("Product section not found");
+
+      this.renderProduct(productElement, productUrl);
+      this.open();
+    } catch (error) {
+      if (error.name === "AbortError") return;
+
+      // Fall back to the product page rather than leaving the click dead
+      console.error("Quick view failed:", error);
+      window.location = productUrl;
+    } finally {
+      opener.removeAttribute("aria-busy");
+    }
+  }
+
+  renderProduct(productElement, productUrl) {
+    const sectionId = productElement.dataset.section;
+    const quickViewId = `quickview-${sectionId}`;
+
+    // The product section may also be on the page; keep ids unique
+    const product = productElement.cloneNode(true);
+    [product, ...product.querySelectorAll("*")].forEach((element) => {
+      QuickViewModal.idAttributes.forEach((name) => {
+        const value = element.getAttribute(name);
+        if (value && value.includes(sectionId)) {
+          element.setAttribute(name, value.replaceAll(sectionId, quickViewId));
+        }
+      });
+    });
+    this.content.replaceChildren(product);
+
+    const variantSelects = this.content.querySelector("variant-selects");
+    if (variantSelects) variantSelects.dataset.updateUrl = "false";
+
+    // Headings inside a dialog shouldn't compete with the page's h1
+    const title = this.content.querySelector(".product-title");
+    if (title) {
+      const heading = document.createElement("h2");
+      heading.className = title.className;
+      heading.id = `${quickViewId}-Title`;
+      heading.textContent = title.textContent;
+      title.replaceWith(heading);
+      this.dialog.removeAttribute("aria-label");
+      this.dialog.setAttribute("aria-labelledby", heading.id);
+    }
+
+    if (this.detailsLink) {
+      this.detailsLink.href = productUrl;
+      this.detailsLink.hidden = false;
+    }
+  }
+
+  open() {
+    this.classList.add("active");
+    window.overlayManager.open(this, { focusContainer: this.dialog });
+  }
+
+  hide() {
+    if (!this.classList.contains("active")) return;
+
+    this.classList.remove("active");
+    this.content.innerHTML = "";
+    this.dialog.removeAttribute("aria-labelledby");
+    this.dialog.setAttribute("aria-label", this.defaultLabel);
+
+    // Filters may have re-rendered the grid; fall back to the card's link
+    const opener = this.openedBy?.isConnected
+      ? this.openedBy
+      : document.querySelector(
+          `.product-card[data-product-url="${this.openedBy?.getAttribute(
+            "href"
+          )}"] [data-quick-view]`
+        );
+    window.overlayManager.close(this, opener);
+    this.openedBy = null;
+  }
+}
+
+customElements.define("quick-view-modal", QuickViewModal);
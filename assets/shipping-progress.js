@@ -0,0 +1,79 @@
+/**
+ * Shipping Progress Component
+ * Shows how far the cart total is from the free shipping threshold and
+ * re-renders from the cart store's document events. Crossing the threshold in
+ * either direction is announced through the element's live region.
+ */
+class ShippingProgress extends HTMLElement {
+  connectedCallback() {
+    this.bar = this.querySelector("[data-shipping-progress-bar]");
+    this.message = this.querySelector("[data-shipping-progress-message]");
+    this.status = this.querySelector("[data-shipping-progress-status]");
+    this.threshold = this.getThreshold();
+    // Unknown until the first render when the threshold had to be converted
+    this.reached =
+      "reached" in this.dataset ? this.dataset.reached === "true" : null;
+
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    const onCartChange = this.onCartChange.bind(this);
+    document.addEventListener("cart:updated", onCartChange, { signal });
+    document.addEventListener("cart:added", onCartChange, { signal });
+
+    this.render(
+      window.cartStore.state || { total_price: Number(this.dataset.total) },
+      false
+    );
+  }
+
+  disconnectedCallback() {
+    this.abortController.abort();
+  }
+
+  // Thresholds set in the shop currency follow the market's exchange rate
+  getThreshold() {
+    const threshold = Number(this.dataset.threshold);
+    if (this.dataset.convert !== "true") return threshold;
+
+    const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+    return Math.round(threshold * rate);
+  }
+
+  onCartChange(event) {
+    // updateCartCount() dispatches cart:updated with only the item count
+    const cart = event.detail?.cart || window.cartStore.state;
+    if (cart) this.render(cart);
+  }
+
+  render(cart, announce = true) {
+    const remaining = Math.max(this.threshold - cart.total_price, 0);
+    const reached = remaining === 0;
+    const progress = Math.min((cart.total_price / this.threshold) * 100, 100);
+    const message = reached
+      ? this.dataset.reachedText
+      : this.dataset.remainingText.replace("[amount]", formatMoney(remaining));
+
+    this.message.textContent = message;
+    this.bar.style.width = `${progress}%`;
+    this.classList.toggle("is-reached", reached);
+
+    if (announce && this.reached !== null && reached !== this.reached) {
+      this.announce(message);
+    }
+    this.reached = reached;
+  }
+
+  // The cart drawer swaps its markup right after a change, so the region is
+  // looked up again once the new markup is in place
+  announce(message) {
+    const id = this.status.id;
+    setTimeout(() => {
+      const status = document.getElementById(id);
+      if (status) status.textContent = message;
+    }, 100);
+  }
+}
+
+if (!customElements.get("shipping-progress")) {
+  customElements.define("shipping-progress", ShippingProgress);
+}